@@ -1,7 +1,9 @@
 // Background service worker for API calls
 
 // Import logger
-importScripts('../utils/logger.js');
+importScripts('../utils/logger.js', '../utils/profiles.js', '../utils/profile-schedule.js');
+
+const profiles = new Profiles();
 
 // Initialize default settings
 chrome.runtime.onInstalled.addListener(async () => {
@@ -25,6 +27,23 @@ chrome.runtime.onInstalled.addListener(async () => {
     debugMode: false
   });
   
+  applyProfileSchedule();
+});
+
+chrome.runtime.onStartup.addListener(applyProfileSchedule);
+
+// Profile schedule: an alarm at each slot boundary switches to the slot's
+// profile. Open X tabs follow the switch through storage.
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ProfileSchedule.ALARM_NAME) {
+    applyProfileSchedule();
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[ProfileSchedule.STORAGE_KEY]) {
+    applyProfileSchedule();
+  }
 });
 
 // Message handler for content script
@@ -68,3 +87,38 @@ function handleLLMConnectionStatus(connected, models, error) {
     extLog.warn('LLM disconnected', { error });
   }
 }
+
+async function applyProfileSchedule() {
+  try {
+    const stored = await chrome.storage.local.get([ProfileSchedule.STORAGE_KEY]);
+    const schedule = ProfileSchedule.normalize(stored[ProfileSchedule.STORAGE_KEY]);
+    await chrome.alarms.clear(ProfileSchedule.ALARM_NAME);
+    
+    if (!schedule.enabled) {
+      await chrome.storage.local.remove(ProfileSchedule.STATUS_KEY);
+      return;
+    }
+    
+    const now = new Date();
+    const slot = ProfileSchedule.currentSlot(schedule, now);
+    const profileId = slot ? slot.profileId : schedule.defaultProfileId;
+    const next = ProfileSchedule.nextBoundary(schedule, now);
+    if (next) {
+      chrome.alarms.create(ProfileSchedule.ALARM_NAME, { when: next.getTime() });
+    }
+    await chrome.storage.local.set({
+      [ProfileSchedule.STATUS_KEY]: { slotId: slot?.id || null, profileId: profileId || null, until: next ? next.getTime() : null }
+    });
+    
+    await profiles.ready;
+    if (profileId && profiles.profiles[profileId] && profiles.activeId !== profileId) {
+      await profiles.activate(profileId);
+      extLog.info('Schedule switched profile', {
+        profile: profiles.profiles[profileId].name,
+        slot: slot ? ProfileSchedule.describe(slot) : 'outside scheduled hours'
+      });
+    }
+  } catch (error) {
+    extLog.error('Failed to apply profile schedule', { error: error.message });
+  }
+}
@@ -1,5 +1,9 @@
 // Signal detection algorithm
 class TweetAnalyzer {
+  // Share of a thread member's score that comes from the whole thread
+  static THREAD_WEIGHT = 0.7;
+  static MAX_THREADS = 100;
+
   constructor() {
     this.settings = {
       threshold: 30,
@@ -13,38 +17,133 @@ class TweetAnalyzer {
     
     // Initialize LLM service if available
     this.llmService = window.LLMService ? new window.LLMService() : null;
+    
+    // Per-author allowlist/blocklist, kept in sync with storage
+    this.authorOverrides = window.AuthorOverrides ? new window.AuthorOverrides() : null;
+    
+    // Thread scores shared by the members of each thread, keyed by thread
+    // id and length so a thread is re-scored when more of it loads
+    this.threadGrouper = window.ThreadGrouper ? new window.ThreadGrouper(element => this.extractTweetData(element)) : null;
+    this.threadResults = new Map();
   }
 
   async loadSettings() {
     const stored = await chrome.storage.local.get([
       'threshold', 'useAI', 'apiKey', 'useLocalLLM', 
-      'interests', 'signalPatterns', 'noisePatterns'
+      'interests', 'signalPatterns', 'noisePatterns', 'promptTemplate', 'selectedModel',
+      'multiAgent', 'enableParallelModels', 'enabledModels', 'ensembleStrategy',
+      'cascade', 'scorer', 'embeddingMethod', 'useFeedbackExamples', 'rules',
+      'domainReputation', 'domainWeight', 'threadAnalysis',
+      'readLanguages', 'unreadLanguageMode', 'languagePrompts', 'vision',
+      'heuristicFallback', 'bayes', 'profiles', 'activeProfile'
     ]);
+    this.threadResults.clear();
     Object.assign(this.settings, stored);
+    this.ruleEngine = window.RuleEngine ? new window.RuleEngine(stored.rules) : null;
+    this.domainReputation = window.DomainReputation
+      ? new window.DomainReputation(stored.domainReputation, stored.domainWeight, this.llmService?.feedbackStore)
+      : null;
+    this.heuristicScorer = window.HeuristicScorer && stored.heuristicFallback !== false
+      ? new window.HeuristicScorer(this.domainReputation)
+      : null;
     
     // Parse user preferences
     this.userPreferences = {
       interests: stored.interests ? stored.interests.split('\n').filter(i => i.trim()) : [],
       signalPatterns: stored.signalPatterns ? stored.signalPatterns.split('\n').filter(i => i.trim()) : [],
       noisePatterns: stored.noisePatterns ? stored.noisePatterns.split('\n').filter(i => i.trim()) : [],
-      threshold: stored.threshold || 30
+      threshold: stored.threshold || 30,
+      template: stored.promptTemplate || 'default',
+      model: stored.selectedModel || '', // Empty = server default
+      multiAgent: stored.multiAgent?.enabled ? stored.multiAgent : null,
+      ensemble: this.getEnsembleSettings(stored),
+      cascade: stored.cascade?.enabled ? stored.cascade : null,
+      scorer: stored.scorer || 'llm',
+      embeddingMethod: stored.embeddingMethod || 'knn',
+      fewShot: stored.useFeedbackExamples !== false,
+      languagePrompts: stored.languagePrompts || 'instruct',
+      vision: stored.vision?.enabled ? stored.vision : null,
+      profile: stored.profiles?.[stored.activeProfile]?.name || ''
     };
+    this.readLanguages = stored.readLanguages?.length ? stored.readLanguages : ['en'];
+    this.bayesSettings = { prefilter: false, minConfidence: 0.8, fallback: true, ...stored.bayes };
+  }
+
+  // Ensemble needs at least two models; older versions stored an object here
+  getEnsembleSettings(stored) {
+    const models = Array.isArray(stored.enabledModels) ? stored.enabledModels : [];
+    if (!stored.enableParallelModels || models.length < 2) {
+      return null;
+    }
+    return { models, strategy: stored.ensembleStrategy || 'weighted-average' };
   }
 
   async analyzeTweet(tweetElement, options = {}) {
     const tweetData = this.extractTweetData(tweetElement);
     
-    // Skip tweets without text
-    if (!tweetData.text || tweetData.text.trim().length === 0) {
+    // Author overrides beat everything else
+    if (this.authorOverrides) {
+      await this.authorOverrides.ready;
+      const overrideResult = this.authorOverrides.evaluate(tweetData, this.userPreferences?.threshold);
+      if (overrideResult) {
+        return overrideResult;
+      }
+    }
+    
+    // Hard rules decide without a model call, and also cover media-only tweets
+    const ruleResult = this.ruleEngine?.evaluate(tweetData, this.userPreferences?.threshold);
+    if (ruleResult) {
+      return ruleResult;
+    }
+    
+    // Skip tweets without text, unless the images can be scored instead
+    const canScoreImages = Boolean(this.userPreferences?.vision && tweetData.images.length > 0);
+    if ((!tweetData.text || tweetData.text.trim().length === 0) && !canScoreImages) {
       return null;
     }
     
+    // Tweets in languages the reader doesn't read can get their own category
+    // instead of a score
+    if (this.settings.unreadLanguageMode === 'separate' && tweetData.language && !this.readLanguages.includes(tweetData.language)) {
+      return this.unreadLanguageResult(tweetData.language);
+    }
+    
     // Use LLM for analysis (local or cloud)
     if (this.settings.useLocalLLM && this.llmService) {
+      // The learned classifier settles tweets it's sure about without a model call
+      const bayes = this.llmService.bayesClassifier;
+      if (bayes && this.bayesSettings.prefilter) {
+        const bayesResult = bayes.score(tweetData, this.userPreferences.threshold);
+        if (bayesResult && bayesResult.confidence >= this.bayesSettings.minConfidence) {
+          return bayesResult;
+        }
+      }
+      
       // Pass full tweet data for analysis
-      const llmResult = await this.llmService.analyzeTweet(tweetData.text, this.userPreferences, tweetData);
+      let llmResult = await this.llmService.analyzeTweet(tweetData.text, this.userPreferences, tweetData);
+      
+      // Linked domains' reputation nudges the model's score. Before the
+      // thread score, which then keeps every member on the thread's side
+      // of the threshold
+      if (llmResult && this.domainReputation) {
+        llmResult = this.domainReputation.blend(llmResult, tweetData, this.userPreferences.threshold);
+      }
+      
+      const thread = llmResult && this.settings.threadAnalysis !== false && this.threadGrouper
+        ? this.threadGrouper.getThread(tweetElement)
+        : null;
+      if (thread) {
+        llmResult = await this.applyThreadScore(llmResult, thread);
+      }
+      
       if (llmResult) {
         return llmResult;
+      } else if (!this.llmService.connected) {
+        // Server unreachable - a provisional score until it's back, from the
+        // learned classifier once it has enough labels
+        const fallback = (this.bayesSettings.fallback && bayes?.score(tweetData, this.userPreferences.threshold)) ||
+          this.heuristicScorer?.score(tweetData, this.userPreferences);
+        return fallback ? { ...fallback, offline: true } : null;
       } else {
         // LLM not available - return null
         return null;
@@ -61,11 +160,86 @@ class TweetAnalyzer {
     return null;
   }
 
+  unreadLanguageResult(language) {
+    let name = language;
+    try {
+      name = new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+    } catch (error) {
+      // Unknown code, show it as is
+    }
+    return {
+      score: null,
+      isSignal: false,
+      category: 'unread-language',
+      reason: `Written in ${name}, which isn't one of your languages`,
+      confidence: 1,
+      language,
+      languageName: name,
+      scorer: 'language'
+    };
+  }
+
+  // A tweet in a thread gets the thread's label; its own score only moves
+  // it within that side of the threshold
+  async applyThreadScore(result, thread) {
+    const key = `${thread.id}:${thread.members.length}`;
+    if (!this.threadResults.has(key)) {
+      if (this.threadResults.size >= TweetAnalyzer.MAX_THREADS) {
+        this.threadResults.delete(this.threadResults.keys().next().value);
+      }
+      // Scored as one text; no status id, since the thread is not one tweet
+      const threadData = {
+        ...thread.members[0].data,
+        text: thread.text,
+        thread: thread.members.map(member => member.data.text),
+        statusId: null,
+        element: null
+      };
+      this.threadResults.set(key, this.llmService.analyzeTweet(thread.text, this.userPreferences, threadData));
+    }
+    
+    const threadResult = await this.threadResults.get(key);
+    if (!threadResult) {
+      this.threadResults.delete(key);
+      return result;
+    }
+    
+    const threshold = this.userPreferences.threshold;
+    const blended = Math.round(TweetAnalyzer.THREAD_WEIGHT * threadResult.score + (1 - TweetAnalyzer.THREAD_WEIGHT) * result.score);
+    const score = threadResult.isSignal ? Math.max(blended, threshold) : Math.min(blended, threshold - 1);
+    
+    return {
+      ...result,
+      score,
+      isSignal: threadResult.isSignal,
+      category: ScoreCategory.categorize(score, threshold),
+      reason: threadResult.reason,
+      thread: {
+        id: thread.id,
+        position: thread.position + 1,
+        size: thread.members.length,
+        score: threadResult.score,
+        ownScore: result.score,
+        ownReason: result.reason
+      }
+    };
+  }
+
   extractTweetData(element) {
-    // Extract tweet text
-    const textElement = element.querySelector('[data-testid="tweetText"]');
+    // A quoted tweet is rendered inside this one with its own text and
+    // author, so this tweet's text is the first one outside it
+    const quoteElement = this.findQuoteElement(element);
+    const textElement = Array.from(element.querySelectorAll('[data-testid="tweetText"]'))
+      .find(el => !quoteElement || !quoteElement.contains(el));
     const text = textElement ? textElement.innerText : '';
     
+    // X tags tweet text with its detected language. Codes that aren't real
+    // languages (und, qme for emoji only, zxx, ...) fall back to our own
+    // detection, and count as unknown when that can't tell either.
+    const lang = (textElement?.getAttribute('lang') || '').toLowerCase();
+    const detected = /^[a-z]{2}$/.test(lang) ? lang : LanguageDetector.detect(text);
+    const language = detected === 'und' ? null : detected;
+    
     // Extract author information
     const authorElement = element.querySelector('[data-testid="User-Name"]');
     let author = {
@@ -117,6 +291,12 @@ class TweetAnalyzer {
     if (mediaElements.videos.length > 0) mediaTypes.push('video');
     if (mediaElements.cards.length > 0) mediaTypes.push('link-preview');
     
+    // Photos on X's image CDN, with the alt text the author gave them
+    const images = Array.from(mediaElements.photos)
+      .map(photo => photo.querySelector('img'))
+      .filter(img => img?.src)
+      .map(img => ({ url: img.src, alt: img.alt || '' }));
+    
     // Extract links with more detail
     const linkElements = element.querySelectorAll('a[href^="http"]:not([href*="twitter.com"]):not([href*="x.com"])');
     const links = Array.from(linkElements).map(link => {
@@ -138,6 +318,11 @@ class TweetAnalyzer {
     const hashtags = Array.from(element.querySelectorAll('[href^="/hashtag/"]')).map(el => el.innerText);
     const mentions = Array.from(element.querySelectorAll('[href^="/"][href*="@"]:not([data-testid])')).map(el => el.innerText);
     
+    // Extract status ID from the timestamp permalink
+    const permalink = element.querySelector('a[href*="/status/"] time')?.closest('a');
+    const statusMatch = permalink ? permalink.getAttribute('href').match(/\/status\/(\d+)/) : null;
+    const statusId = statusMatch ? statusMatch[1] : null;
+    
     // Check if part of thread
     const isThread = element.querySelector('[data-testid="threadline"]') !== null;
     
@@ -146,14 +331,24 @@ class TweetAnalyzer {
     const isReply = replyingToElement && replyingToElement.innerText.includes('Replying to');
     
     // Check if quote tweet
-    const isQuoteTweet = element.querySelector('[data-testid="tweet"] [data-testid="tweet"]') !== null;
+    const isQuoteTweet = quoteElement !== null || element.querySelector('[data-testid="tweet"] [data-testid="tweet"]') !== null;
+    
+    // What this tweet quotes or replies to, so "This. 100%." can be judged
+    // by what it's agreeing with
+    const quoted = quoteElement ? this.extractContextTweet(quoteElement) : null;
+    const parent = this.findParentTweet(element);
+    const context = quoted?.text || parent?.text
+      ? { quoted: quoted?.text ? quoted : undefined, parent: parent?.text ? parent : undefined }
+      : null;
     
     return {
+      statusId,
       text,
       author,
       metrics,
       hasMedia,
       mediaTypes,
+      images,
       hasExternalLinks,
       links,
       hashtags,
@@ -162,10 +357,42 @@ class TweetAnalyzer {
       isVerified: author.isVerified,
       isReply,
       isQuoteTweet,
+      context,
+      language,
       element
     };
   }
 
+  findQuoteElement(element) {
+    return Array.from(element.querySelectorAll('div[role="link"]'))
+      .find(el => el.querySelector('[data-testid="tweetText"]') && el.querySelector('[data-testid="User-Name"]')) || null;
+  }
+
+  // On a conversation page the tweet being replied to sits directly above,
+  // joined to this one by a threadline
+  findParentTweet(element) {
+    if (!window.ThreadGrouper || !/\/status\/\d+/.test(window.location.pathname)) {
+      return null;
+    }
+    const previous = window.ThreadGrouper.adjacentTweet(element, -1);
+    if (!previous || !window.ThreadGrouper.hasThreadline(previous)) {
+      return null;
+    }
+    return this.extractContextTweet(previous);
+  }
+
+  // Just the text and handle of a quoted or parent tweet
+  extractContextTweet(container) {
+    const quote = this.findQuoteElement(container);
+    const textElement = Array.from(container.querySelectorAll('[data-testid="tweetText"]'))
+      .find(el => !quote || !quote.contains(el));
+    const handle = (container.querySelector('[data-testid="User-Name"]')?.innerText || '').match(/@\w+/);
+    return {
+      text: textElement ? textElement.innerText : '',
+      author: handle ? handle[0] : ''
+    };
+  }
+
   extractMetric(element, selector) {
     const metricElement = element.querySelector(selector);
     if (!metricElement) return 0;
@@ -0,0 +1,96 @@
+// Per-author allowlist/blocklist. An override decides the score for every
+// tweet by that author before rules or models run. Stored as
+// chrome.storage.local `authorOverrides`, keyed by lowercase handle without @:
+//   { karpathy: { action: 'signal', addedAt } }
+// Both the badge context menu and the options page write here, so every
+// instance follows storage changes instead of keeping its own copy.
+class AuthorOverrides {
+  static STORAGE_KEY = 'authorOverrides';
+  static SCORES = { signal: 95, noise: 5 };
+
+  constructor() {
+    this.overrides = {};
+    this.listeners = [];
+    this.ready = this.load();
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[AuthorOverrides.STORAGE_KEY]) return;
+      // oldValue rather than this.overrides, which set() has already updated
+      const previous = changes[AuthorOverrides.STORAGE_KEY].oldValue || {};
+      this.overrides = changes[AuthorOverrides.STORAGE_KEY].newValue || {};
+      this.listeners.forEach(listener => listener(this.overrides, previous));
+    });
+  }
+
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get([AuthorOverrides.STORAGE_KEY]);
+      this.overrides = stored[AuthorOverrides.STORAGE_KEY] || {};
+    } catch (error) {
+      extLog.warn('Failed to load author overrides', { error: error.message });
+    }
+  }
+
+  static normalizeHandle(handle) {
+    return String(handle || '').trim().replace(/^@/, '').toLowerCase();
+  }
+
+  // listener(overrides, previous)
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  get(handle) {
+    return this.overrides[AuthorOverrides.normalizeHandle(handle)] || null;
+  }
+
+  list() {
+    return Object.entries(this.overrides)
+      .map(([handle, override]) => ({ handle, ...override }))
+      .sort((a, b) => a.handle.localeCompare(b.handle));
+  }
+
+  async set(handle, action) {
+    const key = AuthorOverrides.normalizeHandle(handle);
+    if (!/^\w{1,15}$/.test(key)) {
+      throw new Error(`"${handle}" is not a valid handle`);
+    }
+    if (!['signal', 'noise'].includes(action)) {
+      throw new Error('Action must be signal or noise');
+    }
+
+    await this.ready;
+    this.overrides = { ...this.overrides, [key]: { action, addedAt: Date.now() } };
+    await chrome.storage.local.set({ [AuthorOverrides.STORAGE_KEY]: this.overrides });
+  }
+
+  async remove(handle) {
+    await this.ready;
+    const { [AuthorOverrides.normalizeHandle(handle)]: removed, ...rest } = this.overrides;
+    if (!removed) return;
+    this.overrides = rest;
+    await chrome.storage.local.set({ [AuthorOverrides.STORAGE_KEY]: this.overrides });
+  }
+
+  // Override for the tweet's author as an analysis result, or null
+  evaluate(tweetData, threshold = 30) {
+    const handle = AuthorOverrides.normalizeHandle(tweetData.author?.handle);
+    const override = handle && this.overrides[handle];
+    if (!override) return null;
+
+    const score = AuthorOverrides.SCORES[override.action];
+    return {
+      score,
+      isSignal: override.action === 'signal',
+      category: ScoreCategory.categorize(score, threshold),
+      reason: override.action === 'signal'
+        ? `@${handle} is on your allowlist - always signal`
+        : `@${handle} is on your blocklist - always noise`,
+      confidence: 1,
+      override: { handle, action: override.action },
+      scorer: 'author-override'
+    };
+  }
+}
+
+window.AuthorOverrides = AuthorOverrides;
@@ -0,0 +1,230 @@
+// Naive Bayes text classifier trained on the reader's own thumbs up/down
+// labels. Learns one label at a time, keeps its word counts in
+// chrome.storage.local `snr_bayes`, and scores a tweet with a few dozen
+// lookups, so it can run before the model or instead of it when the server
+// is unreachable. Accuracy is measured by predicting each label before
+// learning from it.
+class BayesClassifier {
+  static STORAGE_KEY = 'snr_bayes';
+  // Labels of each kind needed before predictions are made
+  static MIN_LABELS = 5;
+  static MAX_VOCABULARY = 20000;
+  static ACCURACY_WINDOW = 200;
+
+  static emptyModel() {
+    return {
+      version: 1,
+      docs: { signal: 0, noise: 0 },
+      totals: { signal: 0, noise: 0 },
+      words: {}, // token -> [signal count, noise count]
+      vocabulary: 0, // Object.keys(words).length, kept up to date so scoring doesn't count
+      recent: [], // 1 or 0 per label, whether it was predicted correctly
+      bootstrapped: false
+    };
+  }
+
+  // Words, hashtags, the author and linked domains. Links and mentions are
+  // replaced by their own features so URLs don't flood the vocabulary.
+  static features({ text = '', author = '', domains = [] }) {
+    const words = String(text).toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/@\w+/g, ' ')
+      .match(/#?[\p{L}\p{N}][\p{L}\p{N}'_-]*/gu) || [];
+    const features = words.filter(word => word.length >= 2).map(word => word.replace(/'s$/, ''));
+    const handle = String(author || '').replace(/^@/, '').toLowerCase();
+    if (handle) features.push(`author:${handle}`);
+    new Set(domains).forEach(domain => domain && features.push(`domain:${domain}`));
+    return features;
+  }
+
+  // Label counts and accuracy over the last ACCURACY_WINDOW labels, for the
+  // options page
+  static summarize(model) {
+    const recent = model?.recent || [];
+    const correct = recent.reduce((sum, outcome) => sum + outcome, 0);
+    return {
+      signal: model?.docs?.signal || 0,
+      noise: model?.docs?.noise || 0,
+      vocabulary: model?.vocabulary ?? Object.keys(model?.words || {}).length,
+      correct,
+      total: recent.length,
+      accuracy: recent.length > 0 ? correct / recent.length : null
+    };
+  }
+
+  // Models saved before the vocabulary count was kept
+  static withVocabulary(model) {
+    if (typeof model.vocabulary !== 'number') {
+      model.vocabulary = Object.keys(model.words).length;
+    }
+    return model;
+  }
+
+  constructor() {
+    this.model = BayesClassifier.emptyModel();
+    this.saveTimer = null;
+    this.ready = this.load();
+
+    // Labels given in another tab
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[BayesClassifier.STORAGE_KEY] || this.saveTimer) return;
+      const model = changes[BayesClassifier.STORAGE_KEY].newValue;
+      this.model = model ? BayesClassifier.withVocabulary(model) : { ...BayesClassifier.emptyModel(), bootstrapped: true };
+    });
+  }
+
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get([BayesClassifier.STORAGE_KEY]);
+      if (stored[BayesClassifier.STORAGE_KEY]?.version === 1) {
+        this.model = BayesClassifier.withVocabulary(stored[BayesClassifier.STORAGE_KEY]);
+      }
+    } catch (error) {
+      extLog.warn('Failed to load classifier', { error: error.message });
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      chrome.storage.local.set({ [BayesClassifier.STORAGE_KEY]: this.model });
+    }, 1000);
+  }
+
+  isTrained() {
+    return this.model.docs.signal >= BayesClassifier.MIN_LABELS && this.model.docs.noise >= BayesClassifier.MIN_LABELS;
+  }
+
+  // Learns from the labels already in the feedback store, for readers who
+  // labeled tweets before the classifier existed. Happens once, so a reset
+  // classifier starts over from new labels.
+  async bootstrap(feedbackStore) {
+    await Promise.all([this.ready, feedbackStore.ready]);
+    if (this.model.bootstrapped) return;
+    feedbackStore.entries.forEach(entry => this.update(BayesClassifier.features(entry), entry.label, 1));
+    this.model.bootstrapped = true;
+    this.scheduleSave();
+  }
+
+  // entry is a feedback store entry; previousLabel is the label it had
+  // before, when the reader changed their mind
+  async train(entry, previousLabel = null) {
+    await this.ready;
+    const features = BayesClassifier.features(entry);
+
+    if (previousLabel) {
+      this.update(features, previousLabel, -1);
+    } else if (this.isTrained()) {
+      // Test, then train: the prediction hasn't seen this label yet
+      const predicted = this.probability(features) >= 0.5 ? 'signal' : 'noise';
+      this.model.recent.push(predicted === entry.label ? 1 : 0);
+      if (this.model.recent.length > BayesClassifier.ACCURACY_WINDOW) {
+        this.model.recent.shift();
+      }
+    }
+
+    this.update(features, entry.label, 1);
+    this.prune();
+    this.scheduleSave();
+  }
+
+  update(features, label, delta) {
+    const index = label === 'signal' ? 0 : 1;
+    this.model.docs[label] = Math.max(0, this.model.docs[label] + delta);
+    for (const feature of features) {
+      const known = Boolean(this.model.words[feature]);
+      const counts = this.model.words[feature] || [0, 0];
+      // Totals move by what the word's count really moved, which is less
+      // than delta when a relabel finds it already pruned
+      const before = counts[index];
+      counts[index] = Math.max(0, before + delta);
+      this.model.totals[label] = Math.max(0, this.model.totals[label] + counts[index] - before);
+      if (counts[0] + counts[1] === 0) {
+        if (known) this.model.vocabulary--;
+        delete this.model.words[feature];
+      } else {
+        if (!known) this.model.vocabulary++;
+        this.model.words[feature] = counts;
+      }
+    }
+  }
+
+  // Drops words seen only once when the vocabulary outgrows its cap
+  prune() {
+    const words = this.model.words;
+    if (this.model.vocabulary <= BayesClassifier.MAX_VOCABULARY) return;
+    for (const [word, counts] of Object.entries(words)) {
+      if (counts[0] + counts[1] === 1) {
+        this.model.totals[counts[0] ? 'signal' : 'noise']--;
+        this.model.vocabulary--;
+        delete words[word];
+      }
+    }
+  }
+
+  // P(signal | features), multinomial with add-one smoothing
+  probability(features) {
+    const { docs, totals, words } = this.model;
+    const vocabulary = this.model.vocabulary + 1;
+    let logSignal = Math.log((docs.signal + 1) / (docs.signal + docs.noise + 2));
+    let logNoise = Math.log((docs.noise + 1) / (docs.signal + docs.noise + 2));
+    for (const feature of features) {
+      const [signal, noise] = words[feature] || [0, 0];
+      if (signal + noise === 0) continue;
+      logSignal += Math.log((signal + 1) / (totals.signal + vocabulary));
+      logNoise += Math.log((noise + 1) / (totals.noise + vocabulary));
+    }
+    return 1 / (1 + Math.exp(logNoise - logSignal));
+  }
+
+  // The features that pushed hardest toward the predicted side
+  strongestFeatures(features, towardSignal, count = 3) {
+    const { totals, words } = this.model;
+    const vocabulary = this.model.vocabulary + 1;
+    return [...new Set(features)]
+      // Short words like "on" can lean one way but explain nothing
+      .filter(feature => words[feature] && feature.length >= 3)
+      .map(feature => {
+        const [signal, noise] = words[feature];
+        const lean = Math.log((signal + 1) / (totals.signal + vocabulary)) - Math.log((noise + 1) / (totals.noise + vocabulary));
+        return { feature, lean: towardSignal ? lean : -lean };
+      })
+      .filter(entry => entry.lean > 0)
+      .sort((a, b) => b.lean - a.lean)
+      .slice(0, count)
+      .map(entry => entry.feature.replace(/^(author|domain):/, (match, kind) => kind === 'author' ? '@' : ''));
+  }
+
+  // Analysis result for a tweet, or null until there are enough labels
+  score(tweetData, threshold = 30) {
+    if (!this.isTrained()) return null;
+
+    const features = BayesClassifier.features({
+      text: tweetData.text,
+      author: tweetData.author?.handle,
+      domains: (tweetData.links || []).map(link => window.DomainReputation ? DomainReputation.linkDomain(link) : link.domain)
+    });
+    const probability = this.probability(features);
+    const score = Math.round(probability * 100);
+    const isSignal = score >= threshold;
+    // Explained against the same cutoff as the label, so a tweet marked
+    // signal never gets a "lean noise" reason
+    const strongest = this.strongestFeatures(features, isSignal);
+    const labels = this.model.docs.signal + this.model.docs.noise;
+
+    return {
+      score,
+      isSignal,
+      category: ScoreCategory.categorize(score, threshold),
+      reason: strongest.length > 0
+        ? `Learned from your ${labels} labels: ${strongest.map(feature => `"${feature}"`).join(', ')} lean ${isSignal ? 'signal' : 'noise'}`
+        : `Learned from your ${labels} labels, nothing familiar in this tweet`,
+      confidence: Math.abs(probability - 0.5) * 2,
+      probability,
+      scorer: 'bayes'
+    };
+  }
+}
+
+window.BayesClassifier = BayesClassifier;
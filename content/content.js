@@ -269,12 +269,7 @@
     analyzedTweets.set(element, result);
 
     // Update stats
-    stats.totalAnalyzed++;
-    if (result.isSignal) {
-      stats.signalCount++;
-    } else {
-      stats.noiseCount++;
-    }
+    countResult(result, 1);
     
     // Store stats for debug panel
     chrome.storage.local.set({ 
@@ -287,26 +282,52 @@
       applyVisualIndicator(element, result);
     }
 
-    // Auto-hide if enabled
-    if (settings.autoHide && !result.isSignal) {
-      element.style.opacity = '0.3';
-      element.style.filter = 'blur(2px)';
-      element.style.transition = 'opacity 0.3s, filter 0.3s';
-      
-      // Add hover effect to reveal
-      element.addEventListener('mouseenter', () => {
-        element.style.opacity = '1';
-        element.style.filter = 'none';
-      });
-      
-      element.addEventListener('mouseleave', () => {
-        element.style.opacity = '0.3';
-        element.style.filter = 'blur(2px)';
-      });
-    }
+    // Auto-hide if enabled. Hovering reveals the tweet (see styles.css), so
+    // a re-scored tweet only needs the class toggled, not listeners removed.
+    // Unread-language tweets were never scored, so they aren't noise.
+    const autoHide = settings.autoHide && !result.isSignal && !isUnrated(result);
+    element.classList.toggle('sn-auto-hidden', Boolean(autoHide));
 
     // Update dashboard
     updateDashboard();
+    
+    // More of a thread has loaded since its other members were scored;
+    // re-score them so the whole thread carries the same label
+    if (result.thread) {
+      analyzedTweets.forEach((other, otherElement) => {
+        if (other.thread?.id === result.thread.id && other.thread.size !== result.thread.size) {
+          reanalyzeTweetElement(otherElement);
+        }
+      });
+    }
+  }
+
+  // Tweets in unread languages, and offline tweets the heuristic couldn't
+  // judge, are neither signal nor noise
+  function isUnrated(result) {
+    return result.category === 'unread-language' || result.category === 'uncertain';
+  }
+
+  // Unrated tweets stay out of the ratio
+  function countResult(result, delta) {
+    if (result.category === 'unread-language') {
+      stats.otherLanguageCount = (stats.otherLanguageCount || 0) + delta;
+      return;
+    }
+    if (isUnrated(result)) return;
+    stats.totalAnalyzed += delta;
+    if (result.isSignal) {
+      stats.signalCount += delta;
+    } else {
+      stats.noiseCount += delta;
+    }
+  }
+
+  // Quotes too, so the result is also safe in a double-quoted attribute
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   function applyVisualIndicator(element, result) {
@@ -320,14 +341,67 @@
     const indicator = document.createElement('div');
     indicator.className = 'sn-indicator';
     
-    let badgeContent = `
+    let badgeContent = result.category === 'unread-language'
+      ? `<span class="sn-label">${escapeHtml(result.languageName)}</span>`
+      : result.category === 'uncertain'
+      ? `<span class="sn-label">Unsure</span>`
+      : `
       <span class="sn-score">${result.score}%</span>
       <span class="sn-label">${result.isSignal ? 'Signal' : 'Noise'}</span>
     `;
     
-    // Add reasoning tooltip if enabled and available
+    // Scores decided by an author override or a rule say so on the badge,
+    // and so do provisional scores made while the server was offline
+    if (result.scorer === 'heuristic') {
+      badgeContent += `<span class="sn-heuristic" title="Server offline - provisional score, re-scored when it reconnects">Heuristic</span>`;
+    } else if (result.scorer === 'bayes') {
+      badgeContent += `<span class="sn-heuristic" title="${result.offline ? 'Server offline - scored by the classifier trained on your labels, re-scored when it reconnects' : 'Scored by the classifier trained on your labels'}">Learned</span>`;
+    } else if (result.override) {
+      badgeContent += `<span class="sn-override" title="Right-click to change">${result.override.action === 'signal' ? 'Allowlisted' : 'Blocklisted'}</span>`;
+    } else if (result.rule) {
+      badgeContent += `<span class="sn-rule" title="Matched rule">${escapeHtml(result.rule.name)}</span>`;
+    }
+    
+    // Ensemble results: flag tweets the models split on
+    const modelScores = result.modelScores ? Object.entries(result.modelScores) : [];
+    const modelSummary = modelScores
+      .map(([model, entry]) => `${model}: ${entry.error ? 'failed' : entry.score}`)
+      .join(' | ');
+    const domainSummary = result.domainReputation
+      ? result.domainReputation.domains.map(entry => {
+          const learned = entry.adjustment ? ` (${entry.adjustment > 0 ? '+' : ''}${entry.adjustment} from your feedback)` : '';
+          return `${entry.domain}: ${entry.score}${learned}`;
+        }).join(', ')
+      : '';
+    const cascadeSummary = result.cascade?.escalated
+      ? result.cascade.stages.map(stage => `${stage.model}: ${stage.error ? 'failed' : stage.score}`).join(' → ')
+      : '';
+    
+    // Thread members share the thread's label
+    if (result.thread) {
+      badgeContent += `<span class="sn-thread" title="Scored with the whole thread">🧵 ${result.thread.position}/${result.thread.size}</span>`;
+    }
+    
+    if (result.disagreement?.disagree) {
+      badgeContent += `<span class="sn-disagree" title="Models disagree - ${escapeHtml(modelSummary)}">≠</span>`;
+    }
+    
+    // Thumbs up/down: labels become few-shot examples for future scoring.
+    // Rule and override results are the user's own decision already.
+    if (!result.rule && !result.override && !isUnrated(result)) {
+      badgeContent += `
+        <span class="sn-feedback">
+          <button class="sn-feedback-btn${result.feedback === 'correct' ? ' active' : ''}" data-verdict="correct" title="Score is right">👍</button>
+          <button class="sn-feedback-btn${result.feedback === 'incorrect' ? ' active' : ''}" data-verdict="incorrect" title="Score is wrong">👎</button>
+        </span>
+      `;
+    }
+    
+    // Add reasoning tooltip if enabled and available. Overrides always
+    // explain themselves, since the score isn't the model's.
+    const showTooltip = Boolean(result.reason) && (settings.showReasoning || Boolean(result.override));
     let reasoningTooltip = '';
-    if (settings.showReasoning && result.reason) {
+    if (showTooltip) {
       reasoningTooltip = `
         <div class="sn-reasoning-tooltip" style="
           display: none;
@@ -350,15 +424,21 @@
           box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
           border: 1px solid rgba(255, 255, 255, 0.1);
         ">
-          <div style="font-weight: bold; margin-bottom: 6px; color: #10b981;">🤖 AI Reasoning:</div>
-          <div style="margin-bottom: 6px;">${result.reason}</div>
-          <div style="font-size: 11px; opacity: 0.7; border-top: 1px solid rgba(255,255,255,0.1); padding-top: 4px;">Confidence: ${Math.round((result.confidence || 0) * 100)}% | Score: ${result.score}</div>
+          <div style="font-weight: bold; margin-bottom: 6px; color: #10b981;">${result.override ? '👤 Author Override:' : '🤖 AI Reasoning:'}</div>
+          <div style="margin-bottom: 6px;">${escapeHtml(result.reason)}</div>
+          ${modelSummary ? `<div style="font-size: 11px; margin-bottom: 6px;">${escapeHtml(modelSummary)}</div>` : ''}
+          ${cascadeSummary ? `<div style="font-size: 11px; margin-bottom: 6px;">Escalated (${escapeHtml(result.cascade.escalationReason)}): ${escapeHtml(cascadeSummary)}</div>` : ''}
+          ${result.imageCount ? `<div style="font-size: 11px; margin-bottom: 6px;">Scored from ${result.imageCount} image${result.imageCount === 1 ? '' : 's'} by ${escapeHtml(result.model || 'the vision model')}${result.imagesFailed ? ` (${result.imagesFailed} couldn't be loaded)` : ''}</div>` : ''}
+          ${result.contextUsed?.length ? `<div style="font-size: 11px; margin-bottom: 6px;">Judged with the ${result.contextUsed.map(kind => kind === 'quoted' ? 'quoted tweet' : 'tweet it replies to').join(' and ')}</div>` : ''}
+          ${result.thread ? `<div style="font-size: 11px; margin-bottom: 6px;">Thread ${result.thread.position}/${result.thread.size}: the thread scored ${result.thread.score}, this tweet alone ${result.thread.ownScore}</div>` : ''}
+          ${domainSummary ? `<div style="font-size: 11px; margin-bottom: 6px;">Domain reputation: ${escapeHtml(domainSummary)} (model scored ${result.domainReputation.originalScore})</div>` : ''}
+          <div style="font-size: 11px; opacity: 0.7; border-top: 1px solid rgba(255,255,255,0.1); padding-top: 4px;">Confidence: ${Math.round((result.confidence || 0) * 100)}% | Score: ${result.score ?? '-'}</div>
         </div>
       `;
     }
     
     // Determine badge class based on signal/noise
-    let badgeClass = result.isSignal ? 'signal' : 'noise';
+    let badgeClass = isUnrated(result) ? result.category : result.isSignal ? 'signal' : 'noise';
     
     indicator.innerHTML = `
       <div class="sn-badge ${badgeClass}" style="position: relative;">
@@ -379,8 +459,31 @@
       element.appendChild(indicator);
     }
 
+    indicator.querySelectorAll('.sn-feedback-btn').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        // Don't open the tweet
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const verdict = button.dataset.verdict;
+        const tweetData = analyzer.extractTweetData(element);
+        const entry = await analyzer.llmService?.submitFeedback(tweetData, result, verdict, analyzer.userPreferences);
+        if (!entry) return;
+        
+        result.feedback = verdict;
+        indicator.querySelectorAll('.sn-feedback-btn').forEach(other => {
+          other.classList.toggle('active', other === button);
+        });
+        extLog.info('Feedback recorded', { verdict, label: entry.label, score: result.score });
+      });
+    });
+
+    indicator.querySelector('.sn-badge').addEventListener('contextmenu', (e) => {
+      showAuthorMenu(e, element);
+    });
+
     // Add hover events for reasoning tooltip
-    if (settings.showReasoning && result.reason) {
+    if (showTooltip) {
       const badge = indicator.querySelector('.sn-badge');
       const tooltip = indicator.querySelector('.sn-reasoning-tooltip');
       
@@ -407,12 +510,154 @@
     }
 
     // Add border based on signal/noise
-    let borderColor = result.isSignal ? '#10b981' : '#ef4444'; // Green for signal, red for noise
+    let borderColor = isUnrated(result) ? '#9ca3af' : result.isSignal ? '#10b981' : '#ef4444'; // Green for signal, red for noise, grey for unrated
     
     element.style.borderLeft = `3px solid ${borderColor}`;
     element.style.transition = 'border-color 0.3s';
   }
 
+  // Right-clicking a badge offers to always treat its author as signal or
+  // noise. Affected tweets are re-scored when the change reaches storage.
+  function showAuthorMenu(event, element) {
+    const overrides = analyzer.authorOverrides;
+    const handle = window.AuthorOverrides?.normalizeHandle(analyzer.extractTweetData(element).author.handle);
+    if (!overrides || !handle) return;
+    
+    event.preventDefault();
+    event.stopPropagation();
+    closeAuthorMenu();
+    
+    const current = overrides.get(handle);
+    const items = [
+      { action: 'signal', label: `Always signal for @${handle}` },
+      { action: 'noise', label: `Always noise for @${handle}` }
+    ];
+    if (current) {
+      items.push({ action: 'remove', label: `Remove override for @${handle}` });
+    }
+    
+    const menu = document.createElement('div');
+    menu.className = 'sn-context-menu';
+    menu.innerHTML = items.map(item => `
+      <button class="sn-context-item${current?.action === item.action ? ' active' : ''}" data-action="${item.action}">${item.label}</button>
+    `).join('');
+    document.body.appendChild(menu);
+    menu.style.left = Math.min(event.clientX, window.innerWidth - menu.offsetWidth - 8) + 'px';
+    menu.style.top = Math.min(event.clientY, window.innerHeight - menu.offsetHeight - 8) + 'px';
+    
+    menu.addEventListener('click', async (e) => {
+      const button = e.target.closest('.sn-context-item');
+      if (!button) return;
+      e.preventDefault();
+      e.stopPropagation();
+      closeAuthorMenu();
+      
+      try {
+        if (button.dataset.action === 'remove') {
+          await overrides.remove(handle);
+        } else {
+          await overrides.set(handle, button.dataset.action);
+        }
+        extLog.info('Author override updated', { handle, action: button.dataset.action });
+      } catch (error) {
+        extLog.error('Failed to update author override', { handle, error: error.message });
+      }
+    });
+  }
+  
+  function closeAuthorMenu() {
+    document.querySelectorAll('.sn-context-menu').forEach(menu => menu.remove());
+  }
+  
+  document.addEventListener('click', closeAuthorMenu);
+  window.addEventListener('scroll', closeAuthorMenu, { passive: true });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeAuthorMenu();
+  });
+  
+  // Re-score tweets by authors whose override changed, from this tab or the
+  // options page
+  analyzer.authorOverrides?.onChange((overrides, previous) => {
+    const changed = new Set(
+      [...Object.keys(overrides), ...Object.keys(previous)]
+        .filter(handle => overrides[handle]?.action !== previous[handle]?.action)
+    );
+    if (changed.size === 0) return;
+    
+    document.querySelectorAll('[data-testid="tweet"]').forEach(tweet => {
+      const handle = AuthorOverrides.normalizeHandle(analyzer.extractTweetData(tweet).author.handle);
+      if (changed.has(handle)) {
+        reanalyzeTweetElement(tweet);
+      }
+    });
+  });
+  
+  // Replace provisional scores once the server is reachable again
+  analyzer.llmService?.onConnectionChange(connected => {
+    if (!connected) return;
+    analyzedTweets.forEach((result, element) => {
+      if (result.offline) {
+        reanalyzeTweetElement(element);
+      }
+    });
+  });
+  
+  // Re-analyze all tweets once the analyzer has picked up the new
+  // preferences (interests, patterns, prompt template, profile)
+  function reanalyzeAll() {
+    analyzedTweets.clear();
+    stats = { signalCount: 0, noiseCount: 0, totalAnalyzed: 0, categorizedCount: 0, queuedCount: 0, preAnalyzedCount: 0 };
+    analyzer.loadSettings().then(() => {
+      document.querySelectorAll('[data-testid="tweet"]').forEach(tweet => {
+        tweet.classList.remove('sn-auto-hidden');
+        if (settings.enablePreAnalysis && analysisQueue && viewportObserver) {
+          handleTweetWithQueue(tweet);
+        } else {
+          analyzeTweetElement(tweet);
+        }
+      });
+    });
+  }
+  
+  // Switching profiles, from the dashboard, the popup or another tab,
+  // changes the preferences every tweet was scored with
+  const profiles = window.Profiles ? new Profiles() : null;
+  profiles?.ready.then(renderProfileSelect);
+  profiles?.onChange((active, switched) => {
+    renderProfileSelect();
+    if (!switched || !active) return;
+    Object.assign(settings, { autoHide: false, threshold: 30 }, active.settings);
+    analyzer.settings.threshold = settings.threshold;
+    extLog.info('Switched profile', { profile: active.name });
+    reanalyzeAll();
+  });
+  
+  function renderProfileSelect() {
+    const select = document.getElementById('sn-profile-select');
+    if (!select || !profiles) return;
+    const list = profiles.list();
+    select.innerHTML = '';
+    list.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    });
+    select.value = profiles.getActive()?.id || '';
+    // Nothing to switch between with a single profile
+    select.style.display = list.length > 1 ? '' : 'none';
+  }
+  
+  function reanalyzeTweetElement(element) {
+    const previous = analyzedTweets.get(element);
+    if (previous) {
+      analyzedTweets.delete(element);
+      countResult(previous, -1);
+    }
+    element.classList.remove('sn-auto-hidden');
+    analyzeTweetElement(element);
+  }
+
   function createDashboard() {
     const dashboard = document.createElement('div');
     dashboard.className = 'sn-dashboard';
@@ -421,6 +666,7 @@
         <h3>Signal/Noise Ratio</h3>
         <button class="sn-dashboard-toggle">−</button>
       </div>
+      <select class="sn-profile-select" id="sn-profile-select" title="Profile" style="display: none;"></select>
       <div class="sn-dashboard-content">
         <div class="sn-stat">
           <span class="sn-stat-value signal" id="sn-signal-count">0</span>
@@ -450,6 +696,12 @@
     const content = dashboard.querySelector('.sn-dashboard-content');
     const chart = dashboard.querySelector('.sn-dashboard-chart');
     
+    dashboard.querySelector('.sn-profile-select').addEventListener('change', (e) => {
+      profiles?.activate(e.target.value).catch(error => {
+        extLog.warn('Failed to switch profile', { error: error.message });
+      });
+    });
+    
     toggle.addEventListener('click', () => {
       const isCollapsed = content.style.display === 'none';
       content.style.display = isCollapsed ? 'flex' : 'none';
@@ -573,16 +825,7 @@
         
         // Training UI removed
         
-        // Re-analyze all tweets with new settings
-        analyzedTweets.clear();
-        stats = { signalCount: 0, noiseCount: 0, totalAnalyzed: 0, categorizedCount: 0, queuedCount: 0, preAnalyzedCount: 0 };
-        document.querySelectorAll('[data-testid="tweet"]').forEach(tweet => {
-          if (settings.enablePreAnalysis && analysisQueue && viewportObserver) {
-            handleTweetWithQueue(tweet);
-          } else {
-            analyzeTweetElement(tweet);
-          }
-        });
+        reanalyzeAll();
         break;
       
       case 'refresh':
@@ -599,8 +842,7 @@
         document.querySelectorAll('.sn-indicator').forEach(el => el.remove());
         document.querySelectorAll('[data-testid="tweet"]').forEach(el => {
           el.style.borderLeft = '';
-          el.style.opacity = '';
-          el.style.filter = '';
+          el.classList.remove('sn-auto-hidden');
         });
         
         // Re-analyze
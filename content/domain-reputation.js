@@ -0,0 +1,145 @@
+// Link domain reputation. Each domain has a prior score (0-100) from a
+// bundled table the user can edit on the options page (chrome.storage.local
+// `domainReputation`, replacing the defaults once saved). The reader's own
+// feedback on tweets linking to a domain nudges its score up or down, and
+// the result is blended into the model's score with weight `domainWeight`.
+class DomainReputation {
+  static DEFAULT_PRIORS = {
+    'arxiv.org': 95,
+    'openreview.net': 90,
+    'github.com': 90,
+    'huggingface.co': 85,
+    'paperswithcode.com': 85,
+    'developer.mozilla.org': 85,
+    'nature.com': 85,
+    'acm.org': 85,
+    'stackoverflow.com': 75,
+    'wikipedia.org': 70,
+    'news.ycombinator.com': 70,
+    'substack.com': 60,
+    'youtube.com': 50,
+    'medium.com': 50,
+    'linkedin.com': 35,
+    'linktr.ee': 25,
+    'beacons.ai': 25,
+    'gumroad.com': 25,
+    'temu.com': 10,
+    'shein.com': 10,
+    'onlyfans.com': 5
+  };
+  static DEFAULT_WEIGHT = 0.25;
+  // Score points a domain moves per net feedback label, and the cap
+  static LEARNING_RATE = 10;
+  static MAX_ADJUSTMENT = 30;
+
+  constructor(priors, weight, feedbackStore = null) {
+    this.priors = priors || DomainReputation.DEFAULT_PRIORS;
+    this.weight = Number.isFinite(weight) ? weight : DomainReputation.DEFAULT_WEIGHT;
+    this.feedbackStore = feedbackStore;
+    this.learned = null;
+    this.learnedFrom = null;
+  }
+
+  // Links on X point at t.co; the domain the reader sees is in the link text
+  static linkDomain(link) {
+    const domain = (link.domain || '').toLowerCase().replace(/^www\./, '');
+    if (domain !== 't.co' || !link.text) return domain;
+    const shown = link.text.trim().replace(/^https?:\/\//, '').replace(/^www\./, '');
+    return shown.split(/[/?#…\s]/)[0].toLowerCase() || domain;
+  }
+
+  // "domain score" per line, as edited on the options page
+  static parseTable(text) {
+    const priors = {};
+    const errors = [];
+    String(text || '').split('\n').forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+      const match = trimmed.match(/^([a-z0-9.-]+\.[a-z]{2,})\s+(\d{1,3})$/i);
+      if (!match || parseInt(match[2]) > 100) {
+        errors.push(`Line ${index + 1}: use "domain score" with a score from 0 to 100`);
+        return;
+      }
+      priors[match[1].toLowerCase().replace(/^www\./, '')] = parseInt(match[2]);
+    });
+    return { priors, errors };
+  }
+
+  static formatTable(priors) {
+    return Object.entries(priors)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([domain, score]) => `${domain} ${score}`)
+      .join('\n');
+  }
+
+  // Net signal-minus-noise labels per domain from the feedback store,
+  // recounted only when the feedback changes
+  getLearned() {
+    const entries = this.feedbackStore?.entries || [];
+    const revision = `${entries.length}:${entries[entries.length - 1]?.timestamp || 0}`;
+    if (this.learned && this.learnedFrom === revision) {
+      return this.learned;
+    }
+
+    const learned = {};
+    for (const entry of entries) {
+      for (const domain of new Set(entry.domains || [])) {
+        learned[domain] = (learned[domain] || 0) + (entry.label === 'signal' ? 1 : -1);
+      }
+    }
+    this.learned = learned;
+    this.learnedFrom = revision;
+    return learned;
+  }
+
+  // Reputation for a domain, checking parent domains so blog.github.com
+  // inherits github.com. Null when neither the table nor feedback knows it.
+  lookup(domain) {
+    const learned = this.getLearned();
+    const parts = domain.split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      const candidate = parts.slice(i).join('.');
+      const prior = this.priors[candidate];
+      const net = learned[candidate] || 0;
+      if (prior === undefined && net === 0) continue;
+
+      const adjustment = Math.max(-DomainReputation.MAX_ADJUSTMENT,
+        Math.min(DomainReputation.MAX_ADJUSTMENT, net * DomainReputation.LEARNING_RATE));
+      const base = prior === undefined ? 50 : prior;
+      return {
+        domain: candidate,
+        prior: prior === undefined ? null : prior,
+        adjustment,
+        score: Math.max(0, Math.min(100, base + adjustment))
+      };
+    }
+    return null;
+  }
+
+  // Returns a copy of the result with the domain prior blended in, or the
+  // result unchanged when no linked domain has a reputation
+  blend(result, tweetData, threshold = 30) {
+    if (!result || this.weight <= 0) return result;
+
+    const domains = [...new Set((tweetData.links || []).map(DomainReputation.linkDomain).filter(Boolean))];
+    const known = domains.map(domain => this.lookup(domain)).filter(Boolean);
+    if (known.length === 0) return result;
+
+    const domainScore = known.reduce((sum, entry) => sum + entry.score, 0) / known.length;
+    const score = Math.round((1 - this.weight) * result.score + this.weight * domainScore);
+    return {
+      ...result,
+      score,
+      isSignal: score >= threshold,
+      category: ScoreCategory.categorize(score, threshold),
+      domainReputation: {
+        domains: known,
+        score: Math.round(domainScore),
+        weight: this.weight,
+        originalScore: result.score
+      }
+    };
+  }
+}
+
+window.DomainReputation = DomainReputation;
@@ -0,0 +1,76 @@
+// Local labeled dataset built from the thumbs up/down controls on badges.
+// Every label is kept here first and then sent to the server, which uses the
+// labels as few-shot examples; entries the server hasn't acknowledged yet are
+// retried the next time it's reachable.
+class FeedbackStore {
+  constructor() {
+    this.storageKey = 'snr_feedback';
+    this.maxEntries = 1000;
+    this.entries = []; // oldest first
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get([this.storageKey]);
+      this.entries = stored[this.storageKey] || [];
+    } catch (error) {
+      extLog.warn('Failed to load feedback', { error: error.message });
+    }
+  }
+
+  async save() {
+    await chrome.storage.local.set({ [this.storageKey]: this.entries });
+  }
+
+  // verdict is 'correct' or 'incorrect'; the label follows from it and the
+  // score the tweet was given
+  async add(tweetData, result, verdict) {
+    await this.ready;
+
+    const label = (verdict === 'correct') === result.isSignal ? 'signal' : 'noise';
+    const entry = {
+      id: tweetData.statusId || null,
+      text: tweetData.text,
+      author: tweetData.author?.handle || null,
+      domains: (tweetData.links || []).map(link => window.DomainReputation ? DomainReputation.linkDomain(link) : link.domain),
+      score: result.score,
+      wasSignal: result.isSignal,
+      model: result.model || null,
+      verdict,
+      label,
+      timestamp: Date.now(),
+      synced: false
+    };
+
+    // A tweet labeled twice keeps only its latest label
+    this.entries = this.entries.filter(existing =>
+      entry.id ? existing.id !== entry.id : existing.text !== entry.text
+    );
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    await this.save();
+    return entry;
+  }
+
+  async markSynced(entry) {
+    entry.synced = true;
+    await this.save();
+  }
+
+  pending() {
+    return this.entries.filter(entry => !entry.synced);
+  }
+
+  getLabel(statusId, text) {
+    const entry = this.entries.find(existing =>
+      statusId ? existing.id === statusId : existing.text === text
+    );
+    return entry ? entry.verdict : null;
+  }
+}
+
+window.FeedbackStore = FeedbackStore;
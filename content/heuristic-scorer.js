@@ -0,0 +1,115 @@
+// Provisional scores for when the analysis server can't be reached. Starts
+// at the reader's threshold and moves it with their interests and patterns,
+// linked domains, hashtags and engagement. A tweet nothing moved is
+// 'uncertain' rather than signal or noise. The result is marked
+// `scorer: 'heuristic'` so the tweet can be re-scored by the model once the
+// server is back.
+class HeuristicScorer {
+  static INTEREST_POINTS = 15;
+  static PATTERN_POINTS = 10;
+  static MAX_KEYWORD_POINTS = 30;
+  // Words too common to say anything when they appear in an interest or pattern
+  static STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'from', 'about', 'into', 'your',
+    'are', 'was', 'has', 'have', 'not', 'but', 'you', 'they', 'their', 'more'
+  ]);
+
+  // Keywords from an interest or pattern line, e.g. "Technical insights" ->
+  // ['technical', 'insight']. Plurals are folded so "Giveaways" matches
+  // "giveaway".
+  static keywords(phrase) {
+    return (String(phrase).toLowerCase().match(/[\p{L}\p{N}+#.-]+/gu) || [])
+      .map(word => word.replace(/^[.-]+|[.-]+$/g, ''))
+      .filter(word => word.length >= 3 && !HeuristicScorer.STOPWORDS.has(word))
+      .map(word => word.length > 4 ? word.replace(/s$/, '') : word);
+  }
+
+  // Phrases with at least one keyword in the text
+  static matchingPhrases(phrases, words) {
+    return (phrases || []).filter(phrase => HeuristicScorer.keywords(phrase).some(word => words.has(word)));
+  }
+
+  constructor(domainReputation = null) {
+    this.domainReputation = domainReputation;
+  }
+
+  score(tweetData, preferences = {}) {
+    const threshold = preferences.threshold || 30;
+    const text = tweetData.text || '';
+    const words = new Set(HeuristicScorer.keywords(text));
+    let score = threshold;
+    const reasons = [];
+
+    const interests = HeuristicScorer.matchingPhrases(preferences.interests, words);
+    const signalPatterns = HeuristicScorer.matchingPhrases(preferences.signalPatterns, words);
+    const noisePatterns = HeuristicScorer.matchingPhrases(preferences.noisePatterns, words);
+    const keywordPoints = interests.length * HeuristicScorer.INTEREST_POINTS +
+      (signalPatterns.length - noisePatterns.length) * HeuristicScorer.PATTERN_POINTS;
+    score += Math.max(-HeuristicScorer.MAX_KEYWORD_POINTS, Math.min(HeuristicScorer.MAX_KEYWORD_POINTS, keywordPoints));
+    if (interests.length > 0) reasons.push(`mentions ${interests.slice(0, 2).join(', ')}`);
+    if (signalPatterns.length > 0) reasons.push(`looks like ${signalPatterns[0]}`);
+    if (noisePatterns.length > 0) reasons.push(`looks like ${noisePatterns[0]}`);
+
+    // Linked domains pull the score toward their reputation
+    const domains = this.domainReputation
+      ? [...new Set((tweetData.links || []).map(DomainReputation.linkDomain).filter(Boolean))]
+          .map(domain => this.domainReputation.lookup(domain))
+          .filter(Boolean)
+      : [];
+    if (domains.length > 0) {
+      const domainScore = domains.reduce((sum, entry) => sum + entry.score, 0) / domains.length;
+      score += Math.round((domainScore - 50) * 0.4);
+      reasons.push(`links to ${domains.map(entry => entry.domain).join(', ')}`);
+    }
+
+    // Hashtag walls and very short, shouty text are typical of noise
+    const hashtags = tweetData.hashtags?.length || 0;
+    if (hashtags >= 3) {
+      score -= 5 * Math.min(hashtags - 2, 4);
+      reasons.push(`${hashtags} hashtags`);
+    }
+    const letters = text.replace(/[^\p{L}]/gu, '');
+    if (text.trim().length > 0 && text.trim().length < 40 && domains.length === 0) {
+      score -= 10;
+      reasons.push('very short');
+    }
+    if (letters.length >= 20 && letters === letters.toUpperCase() && letters !== letters.toLowerCase()) {
+      score -= 10;
+      reasons.push('all caps');
+    }
+
+    // Engagement only nudges: popular isn't the same as useful. Replies far
+    // outnumbering likes usually means a pile-on.
+    const { likes = 0, replies = 0, views = 0 } = tweetData.metrics || {};
+    if (views >= 1000 && likes / views >= 0.02) {
+      score += 5;
+      reasons.push('well liked by readers');
+    }
+    if (replies >= 20 && replies > likes * 2) {
+      score -= 10;
+      reasons.push('more replies than likes');
+    }
+
+    score = Math.max(0, Math.min(100, Math.round(score)));
+    if (reasons.length === 0) {
+      return {
+        score,
+        isSignal: false,
+        category: 'uncertain',
+        reason: 'Server offline - nothing stood out, so no provisional label',
+        confidence: 0,
+        scorer: 'heuristic'
+      };
+    }
+    return {
+      score,
+      isSignal: score >= threshold,
+      category: ScoreCategory.categorize(score, threshold),
+      reason: `Server offline - provisional score: ${reasons.join('; ')}`,
+      confidence: 0.3,
+      scorer: 'heuristic'
+    };
+  }
+}
+
+window.HeuristicScorer = HeuristicScorer;
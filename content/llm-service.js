@@ -13,6 +13,14 @@ class LLMService {
     this.hasLoggedDisconnection = false;
     this.lastRequestTime = 0;
     this.minRequestDelay = 200; // Minimum 200ms between requests
+    this.serverInfo = null; // Model and template versions reported by /health
+    this.scoreCache = window.ScoreCache ? new window.ScoreCache() : null;
+    this.feedbackStore = window.FeedbackStore ? new window.FeedbackStore() : null;
+    this.bayesClassifier = window.BayesClassifier ? new window.BayesClassifier() : null;
+    if (this.bayesClassifier && this.feedbackStore) {
+      this.bayesClassifier.bootstrap(this.feedbackStore);
+    }
+    this.connectionListeners = [];
     
     // Initialize connection with retry logic
     this.initializeConnection();
@@ -51,8 +59,10 @@ class LLMService {
 
   scheduleRetry() {
     if (this.retryAttempts >= this.maxRetries) {
-      extLog.warn(`LLM Service: Max retries (${this.maxRetries}) reached. Giving up.`);
-      this.stopHealthChecks();
+      // Keep polling slowly so provisional scores get replaced once the
+      // server comes back
+      extLog.warn(`LLM Service: Max retries (${this.maxRetries}) reached. Checking every 30s.`);
+      this.startHealthChecks();
       return;
     }
     
@@ -80,6 +90,7 @@ class LLMService {
       const data = await response.json();
       const wasConnected = this.connected;
       this.connected = data.status === 'ok' && data.ollama.connected;
+      this.serverInfo = data.analysis || null;
       
       if (this.connected) {
         if (!wasConnected) {
@@ -89,6 +100,10 @@ class LLMService {
           
           // Notify user of successful connection
           this.notifyConnectionStatus(true, data.ollama.models);
+          
+          // Send labels given while the server was unreachable
+          this.syncFeedback();
+          this.connectionListeners.forEach(listener => listener(true));
         }
       } else {
         if (!this.hasLoggedDisconnection) {
@@ -96,6 +111,7 @@ class LLMService {
         }
         if (wasConnected) {
           this.notifyConnectionStatus(false, null, 'Ollama disconnected');
+          this.connectionListeners.forEach(listener => listener(false));
         }
       }
     } catch (error) {
@@ -108,6 +124,7 @@ class LLMService {
       
       if (wasConnected) {
         this.notifyConnectionStatus(false, null, error.message);
+        this.connectionListeners.forEach(listener => listener(false));
       }
       
       if (!isHealthCheck) {
@@ -118,6 +135,11 @@ class LLMService {
     return this.connected;
   }
 
+  // listener(connected), called when the server connects or drops
+  onConnectionChange(listener) {
+    this.connectionListeners.push(listener);
+  }
+
   notifyConnectionStatus(connected, models = null, error = null) {
     // Send message to background script to update badge or notify user
     chrome.runtime.sendMessage({
@@ -141,6 +163,40 @@ class LLMService {
       }
     }
     
+    // Tweets that are mostly pictures go to the vision model first. The
+    // multi-agent pipeline needs author and media details, so it only runs
+    // when the full tweet data is available. It takes precedence over the
+    // model ensemble when both are enabled.
+    const { multiAgent, ensemble, cascade, vision, ...preferences } = userPreferences;
+    const useVision = Boolean(vision && tweetData?.images?.length &&
+      tweetText.trim().length <= (vision.maxTextLength ?? 80));
+    const useMultiAgent = Boolean(multiAgent && tweetData) && !useVision;
+    const useEnsemble = Boolean(ensemble) && !useMultiAgent && !useVision;
+    const endpoint = useVision ? '/analyze-images'
+      : useMultiAgent ? '/analyze-multi-agent'
+      : useEnsemble ? '/analyze-ensemble'
+      : '/analyze';
+    const useEmbedding = preferences.scorer === 'embedding' && endpoint === '/analyze';
+    const useCascade = Boolean(cascade) && endpoint === '/analyze' && !useEmbedding;
+
+    // Reuse a score from an earlier visit if the server model and template haven't changed.
+    // Embedding scores follow the example library, so they're never cached.
+    let cacheKey = null;
+    if (this.scoreCache && !useEmbedding) {
+      await this.scoreCache.ready;
+      cacheKey = await this.scoreCache.buildKey(tweetText, tweetData?.statusId, userPreferences, tweetData?.context);
+      // A cascaded score may come from either stage
+      const acceptedModels = useVision
+        ? vision.model || this.serverInfo?.visionModel
+        : useCascade
+          ? [cascade.fastModel, cascade.strongModel]
+          : userPreferences.model;
+      const cached = this.scoreCache.get(cacheKey, this.serverInfo, acceptedModels);
+      if (cached) {
+        return { ...cached, cached: true, feedback: this.getFeedback(tweetText, tweetData) };
+      }
+    }
+    
     // Rate limiting: ensure minimum delay between requests
     const now = Date.now();
     const timeSinceLastRequest = now - this.lastRequestTime;
@@ -157,10 +213,24 @@ class LLMService {
         
         const requestBody = {
           text: tweetText,
+          id: tweetData?.statusId,
           interests: userPreferences.interests || [],
           signalPatterns: userPreferences.signalPatterns || [],
           noisePatterns: userPreferences.noisePatterns || [],
-          threshold: userPreferences.threshold || 30
+          threshold: userPreferences.threshold || 30,
+          template: userPreferences.template,
+          model: userPreferences.model || undefined,
+          fewShot: userPreferences.fewShot,
+          cascade: useCascade ? cascade : undefined,
+          scorer: useEmbedding ? 'embedding' : undefined,
+          embeddingMethod: useEmbedding ? preferences.embeddingMethod : undefined,
+          context: tweetData?.context || undefined,
+          thread: tweetData?.thread || undefined,
+          language: tweetData?.language || undefined,
+          languagePrompts: userPreferences.languagePrompts,
+          profile: userPreferences.profile || undefined,
+          images: useVision ? tweetData.images : undefined,
+          visionModel: useVision ? vision.model || undefined : undefined
         };
         
         // Include full tweet data if available for multi-agent analysis
@@ -168,17 +238,29 @@ class LLMService {
           // Remove DOM element reference before sending (cannot be serialized)
           const { element, ...cleanTweetData } = tweetData;
           requestBody.tweetData = cleanTweetData;
-          requestBody.userPreferences = userPreferences;
+          requestBody.userPreferences = preferences;
+        }
+        
+        if (useEnsemble) {
+          requestBody.ensemble = ensemble;
+        }
+        
+        if (useMultiAgent) {
+          requestBody.pipeline = {
+            aggregation: multiAgent.aggregation,
+            agents: multiAgent.agents
+          };
         }
         
         const startTime = performance.now();
-        const response = await fetch(`${this.serverUrl}/analyze`, {
+        const response = await fetch(`${this.serverUrl}${endpoint}`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
           },
           body: JSON.stringify(requestBody),
-          signal: AbortSignal.timeout(15000) // 15 second timeout per request
+          // Vision models are slower, and the server fetches the images first
+          signal: AbortSignal.timeout(useVision ? 30000 : 15000)
         });
 
         if (!response.ok) {
@@ -188,7 +270,9 @@ class LLMService {
             error: errorText,
             tweetPreview: tweetText.substring(0, 100)
           });
-          throw new Error(`Server error: ${response.status} - ${errorText}`);
+          const error = new Error(`Server error: ${response.status} - ${errorText}`);
+          error.status = response.status;
+          throw error;
         }
 
         const result = await response.json();
@@ -196,20 +280,47 @@ class LLMService {
         
         
         // Add LLM-specific metadata
-        return {
+        const analysis = {
           score: result.score,
           isSignal: result.isSignal,
           category: result.category || (result.isSignal ? 'signal' : 'noise'),
           reason: result.reason,
           confidence: result.confidence || 'llm',
           model: result.model,
+          template: result.template,
+          templateVersion: result.templateVersion,
           latency: result.latency,
           agentScores: result.agentScores,
-          agentCount: result.agentCount
+          agentCount: result.agentCount,
+          modelScores: result.modelScores,
+          disagreement: result.disagreement,
+          cascade: result.cascade,
+          neighbors: result.neighbors,
+          language: result.language,
+          imageCount: result.imageCount,
+          imagesFailed: result.imagesFailed,
+          contextUsed: result.contextUsed || (tweetData?.context
+            ? ['quoted', 'parent'].filter(kind => tweetData.context[kind])
+            : undefined),
+          scorer: result.scorer || 'llm',
+          cached: result.cached || false
         };
+        
+        // Zero confidence means the server couldn't score it - don't keep that
+        if (cacheKey && result.confidence > 0) {
+          this.scoreCache.set(cacheKey, analysis);
+        }
+        
+        return { ...analysis, feedback: this.getFeedback(tweetText, tweetData) };
       } catch (error) {
         lastError = error;
         
+        // Client errors (e.g. a model that isn't installed) and unparseable
+        // model output (502) won't succeed on retry, and aren't disconnects
+        if ((error.status >= 400 && error.status < 500) || error.status === 502) {
+          return null;
+        }
+        
         if (attempt < 2) {
           // Wait before retry with exponential backoff
           const delay = 500 * Math.pow(2, attempt);
@@ -224,6 +335,65 @@ class LLMService {
     return null; // No analysis when connection fails
   }
 
+  // The user's earlier thumbs up/down on this tweet, if any
+  getFeedback(tweetText, tweetData) {
+    return this.feedbackStore?.getLabel(tweetData?.statusId, tweetText) || null;
+  }
+
+  // Records a thumbs up/down on a badge locally, then shares it with the
+  // server so it can be used as a few-shot example
+  async submitFeedback(tweetData, result, verdict, userPreferences = {}) {
+    if (!this.feedbackStore) return null;
+
+    await this.feedbackStore.ready;
+    const previousLabel = this.feedbackStore.entries.find(existing =>
+      tweetData.statusId ? existing.id === tweetData.statusId : existing.text === tweetData.text
+    )?.label || null;
+    const entry = await this.feedbackStore.add(tweetData, result, verdict);
+    if (this.bayesClassifier && entry.label !== previousLabel) {
+      this.bayesClassifier.train(entry, previousLabel);
+    }
+
+    // The cached score is what the user just disagreed with or confirmed;
+    // either way the next visit should reflect the label
+    if (this.scoreCache) {
+      const key = await this.scoreCache.buildKey(tweetData.text, tweetData.statusId, userPreferences, tweetData.context);
+      this.scoreCache.delete(key);
+    }
+
+    if (this.connected) {
+      await this.sendFeedback(entry);
+    }
+    return entry;
+  }
+
+  async sendFeedback(entry) {
+    try {
+      const response = await fetch(`${this.serverUrl}/feedback`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(entry),
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!response.ok) {
+        throw new Error(`Server error: ${response.status}`);
+      }
+      await this.feedbackStore.markSynced(entry);
+    } catch (error) {
+      extLog.warn('Failed to send feedback, will retry on reconnect', { error: error.message });
+    }
+  }
+
+  async syncFeedback() {
+    if (!this.feedbackStore) return;
+    await this.feedbackStore.ready;
+    for (const entry of this.feedbackStore.pending()) {
+      await this.sendFeedback(entry);
+    }
+  }
+
   async analyzeBatch(tweets, userInterests = []) {
     if (!this.connected) {
       await this.checkConnection();
@@ -239,7 +409,7 @@ class LLMService {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          tweets: tweets.map(t => ({ text: t.text, id: t.id })),
+          tweets: tweets.map(t => ({ text: t.text, id: t.id, context: t.context || undefined, language: t.language || undefined })),
           interests: userInterests
         })
       });
@@ -0,0 +1,133 @@
+// Deterministic rules checked before any model call. Rules run in order and
+// the first enabled rule that matches decides the score, so the badge can be
+// labeled with its name. Stored as chrome.storage.local `rules`:
+//   { id, name, enabled, type, match, action: 'signal' | 'noise', score? }
+// where `match` depends on the type:
+//   keyword  comma-separated words or phrases found in the text
+//   regex    JavaScript regular expression tested against the text (case-insensitive)
+//   domain   comma-separated link domains; subdomains match too
+//   hashtag  comma-separated hashtags, with or without #
+//   author   comma-separated handles, with or without @
+//   metric   "<likes|retweets|replies|views> <operator> <number>", e.g. "likes >= 1000"
+class RuleEngine {
+  static TYPES = ['keyword', 'regex', 'domain', 'hashtag', 'author', 'metric'];
+  static METRICS = ['likes', 'retweets', 'replies', 'views'];
+  static OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '=': (a, b) => a === b
+  };
+  static DEFAULT_SCORES = { signal: 90, noise: 10 };
+
+  constructor(rules = []) {
+    this.setRules(rules);
+  }
+
+  // Rules that don't compile are skipped; the options page reports them
+  setRules(rules) {
+    this.rules = [];
+    for (const rule of rules || []) {
+      if (!rule.enabled) continue;
+      try {
+        this.rules.push({ rule, test: RuleEngine.compile(rule) });
+      } catch (error) {
+        extLog.warn('Skipping invalid rule', { rule: rule.name, error: error.message });
+      }
+    }
+  }
+
+  static splitList(match, prefix = '') {
+    return String(match || '')
+      .split(',')
+      .map(item => item.trim().toLowerCase())
+      .map(item => (prefix && item.startsWith(prefix) ? item.substring(1) : item))
+      .filter(Boolean);
+  }
+
+  static escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Returns a predicate over extracted tweet data, or throws with a message
+  // fit for the options page
+  static compile(rule) {
+    if (!RuleEngine.TYPES.includes(rule.type)) {
+      throw new Error(`Unknown rule type "${rule.type}"`);
+    }
+    if (!['signal', 'noise'].includes(rule.action)) {
+      throw new Error('Action must be signal or noise');
+    }
+
+    switch (rule.type) {
+      case 'keyword': {
+        const words = RuleEngine.splitList(rule.match);
+        if (words.length === 0) throw new Error('Enter at least one keyword');
+        // Whole words only, so "ai" doesn't match "said"
+        const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${words.map(RuleEngine.escapeRegex).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'iu');
+        return tweet => pattern.test(tweet.text || '');
+      }
+      case 'regex': {
+        if (!rule.match) throw new Error('Enter a regular expression');
+        let pattern;
+        try {
+          pattern = new RegExp(rule.match, 'iu');
+        } catch (error) {
+          throw new Error(error.message);
+        }
+        return tweet => pattern.test(tweet.text || '');
+      }
+      case 'domain': {
+        const domains = RuleEngine.splitList(rule.match).map(domain => domain.replace(/^www\./, ''));
+        if (domains.length === 0) throw new Error('Enter at least one domain');
+        return tweet => (tweet.links || []).some(link => {
+          const host = (link.domain || '').toLowerCase();
+          return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+        });
+      }
+      case 'hashtag': {
+        const tags = RuleEngine.splitList(rule.match, '#');
+        if (tags.length === 0) throw new Error('Enter at least one hashtag');
+        return tweet => (tweet.hashtags || []).some(tag => tags.includes(tag.replace(/^#/, '').toLowerCase()));
+      }
+      case 'author': {
+        const handles = RuleEngine.splitList(rule.match, '@');
+        if (handles.length === 0) throw new Error('Enter at least one handle');
+        return tweet => handles.includes((tweet.author?.handle || '').replace(/^@/, '').toLowerCase());
+      }
+      case 'metric': {
+        const parsed = String(rule.match || '').trim().match(/^(\w+)\s*(>=|<=|>|<|=)\s*(\d+(?:\.\d+)?)\s*([km]?)$/i);
+        if (!parsed || !RuleEngine.METRICS.includes(parsed[1].toLowerCase())) {
+          throw new Error(`Use "<${RuleEngine.METRICS.join('|')}> <operator> <number>", e.g. "likes >= 1000"`);
+        }
+        const metric = parsed[1].toLowerCase();
+        const compare = RuleEngine.OPERATORS[parsed[2]];
+        const multiplier = { k: 1000, m: 1000000 }[parsed[4].toLowerCase()] || 1;
+        const value = parseFloat(parsed[3]) * multiplier;
+        return tweet => compare(tweet.metrics?.[metric] || 0, value);
+      }
+    }
+  }
+
+  // First matching rule as an analysis result, or null to fall through to the model
+  evaluate(tweetData, threshold = 30) {
+    for (const { rule, test } of this.rules) {
+      if (!test(tweetData)) continue;
+
+      const score = Number.isFinite(rule.score) ? rule.score : RuleEngine.DEFAULT_SCORES[rule.action];
+      return {
+        score,
+        isSignal: rule.action === 'signal',
+        category: ScoreCategory.categorize(score, threshold),
+        reason: `Matched rule "${rule.name}"`,
+        confidence: 1,
+        rule: { id: rule.id, name: rule.name, type: rule.type },
+        scorer: 'rule'
+      };
+    }
+    return null;
+  }
+}
+
+window.RuleEngine = RuleEngine;
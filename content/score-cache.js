@@ -0,0 +1,114 @@
+// Extension-side score cache so previously scored tweets don't need a server
+// round trip on page load or refresh. Entries remember the model and prompt
+// template version that produced them and are only reused while the server
+// still reports the same ones.
+class ScoreCache {
+  constructor() {
+    this.storageKey = 'snr_score_cache';
+    this.maxEntries = 2000;
+    this.ttl = 7 * 24 * 3600000; // 7 days
+    this.entries = new Map(); // key -> { result, model, template, templateVersion, timestamp }
+    this.saveTimer = null;
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get([this.storageKey]);
+      const now = Date.now();
+      Object.entries(stored[this.storageKey] || {})
+        .filter(([, entry]) => now - entry.timestamp < this.ttl)
+        .sort((a, b) => a[1].timestamp - b[1].timestamp)
+        .forEach(([key, entry]) => this.entries.set(key, entry));
+    } catch (error) {
+      extLog.warn('Failed to load score cache', { error: error.message });
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      chrome.storage.local.set({ [this.storageKey]: Object.fromEntries(this.entries) });
+    }, 2000);
+  }
+
+  async hash(value) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(value));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Status ID when we have one, otherwise the normalized text, plus the
+  // preferences that shape the prompt
+  // context is the quoted/parent tweet; a score made without it is stale
+  // once it's known
+  async buildKey(tweetText, statusId, userPreferences = {}, context = null) {
+    const identity = statusId
+      ? `id:${statusId}`
+      : `text:${tweetText.toLowerCase().replace(/\s+/g, ' ').trim()}`;
+
+    return this.hash(JSON.stringify([
+      identity,
+      userPreferences.interests || [],
+      userPreferences.signalPatterns || [],
+      userPreferences.noisePatterns || [],
+      userPreferences.threshold || 30,
+      userPreferences.template || 'default',
+      userPreferences.model || '',
+      userPreferences.multiAgent || null,
+      userPreferences.ensemble || null,
+      userPreferences.cascade || null,
+      userPreferences.fewShot !== false,
+      userPreferences.languagePrompts || 'instruct',
+      userPreferences.vision || null,
+      userPreferences.profile || '',
+      context || null
+    ]));
+  }
+
+  // serverInfo is the `analysis` block from /health: { model, templates }.
+  // requestedModel is the user's model choice, empty for the server default,
+  // or a list of acceptable models when the result may come from any of them
+  get(key, serverInfo, requestedModel = '') {
+    const entry = this.entries.get(key);
+    if (!entry || !serverInfo) return null;
+
+    const models = Array.isArray(requestedModel) ? requestedModel : [requestedModel || serverInfo.model];
+    const expired = Date.now() - entry.timestamp >= this.ttl;
+    const stale = !models.includes(entry.model) ||
+                  entry.templateVersion !== serverInfo.templates?.[entry.template];
+
+    if (expired || stale) {
+      this.entries.delete(key);
+      this.scheduleSave();
+      return null;
+    }
+
+    return entry.result;
+  }
+
+  set(key, result) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      result,
+      model: result.model,
+      template: result.template,
+      templateVersion: result.templateVersion,
+      timestamp: Date.now()
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.scheduleSave();
+  }
+
+  delete(key) {
+    if (this.entries.delete(key)) {
+      this.scheduleSave();
+    }
+  }
+}
+
+window.ScoreCache = ScoreCache;
@@ -0,0 +1,78 @@
+// Finds the thread a tweet belongs to. X renders each tweet in its own
+// timeline cell and draws a threadline from a tweet down to the next one in
+// the conversation, so a thread is a run of consecutive cells by the same
+// author, each connected to the next.
+class ThreadGrouper {
+  static MAX_MEMBERS = 25;
+  static MAX_TEXT_LENGTH = 4000;
+
+  constructor(extractTweetData) {
+    this.extractTweetData = extractTweetData;
+  }
+
+  static tweetInCell(cell) {
+    return cell?.querySelector('[data-testid="tweet"]') || null;
+  }
+
+  static hasThreadline(tweet) {
+    return tweet.querySelector('[data-testid="threadline"]') !== null;
+  }
+
+  // Neighbouring tweet in the timeline, skipping cells without a tweet
+  // (separators, "show more" rows) until a real gap
+  static adjacentTweet(tweet, direction) {
+    let cell = tweet.closest('[data-testid="cellInnerDiv"]');
+    for (let skipped = 0; cell && skipped < 2; skipped++) {
+      cell = direction < 0 ? cell.previousElementSibling : cell.nextElementSibling;
+      const next = ThreadGrouper.tweetInCell(cell);
+      if (next) return next;
+    }
+    return null;
+  }
+
+  // { id, members: [{ element, data }], position, text } when the tweet is
+  // part of a thread of two or more tweets, otherwise null. text is for
+  // display and cache keys; the server builds the prompt from the members'
+  // own texts so every member gets its share.
+  getThread(element) {
+    // The last tweet of a thread has no threadline of its own, only the one
+    // above it does
+    const previousTweet = ThreadGrouper.adjacentTweet(element, -1);
+    if (!ThreadGrouper.hasThreadline(element) && !(previousTweet && ThreadGrouper.hasThreadline(previousTweet))) {
+      return null;
+    }
+
+    const handleOf = tweet => this.extractTweetData(tweet).author.handle;
+    const handle = handleOf(element);
+    if (!handle) return null;
+
+    const elements = [element];
+    for (let previous = previousTweet;
+      previous && elements.length < ThreadGrouper.MAX_MEMBERS && ThreadGrouper.hasThreadline(previous) && handleOf(previous) === handle;
+      previous = ThreadGrouper.adjacentTweet(previous, -1)) {
+      elements.unshift(previous);
+    }
+    for (let current = element, next = ThreadGrouper.adjacentTweet(element, 1);
+      next && elements.length < ThreadGrouper.MAX_MEMBERS && ThreadGrouper.hasThreadline(current) && handleOf(next) === handle;
+      current = next, next = ThreadGrouper.adjacentTweet(next, 1)) {
+      elements.push(next);
+    }
+    if (elements.length < 2) return null;
+
+    const members = elements.map(tweet => ({ element: tweet, data: this.extractTweetData(tweet) }));
+    const first = members[0].data;
+    const text = members
+      .map((member, index) => `${index + 1}/${members.length} ${member.data.text}`)
+      .join('\n\n')
+      .substring(0, ThreadGrouper.MAX_TEXT_LENGTH);
+
+    return {
+      id: first.statusId || `${handle}:${first.text.substring(0, 50)}`,
+      members,
+      position: elements.indexOf(element),
+      text
+    };
+  }
+}
+
+window.ThreadGrouper = ThreadGrouper;
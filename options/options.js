@@ -15,8 +15,27 @@ document.addEventListener('DOMContentLoaded', async () => {
     'interests',
     'signalPatterns',
     'noisePatterns',
+    'promptTemplate',
+    'selectedModel',
     'enableParallelModels',
     'enabledModels',
+    'ensembleStrategy',
+    'multiAgent',
+    'cascade',
+    'scorer',
+    'useFeedbackExamples',
+    'rules',
+    'domainReputation',
+    'domainWeight',
+    'threadAnalysis',
+    'heuristicFallback',
+    'bayes',
+    'profileSchedule',
+    'readLanguages',
+    'unreadLanguageMode',
+    'languagePrompts',
+    'vision',
+    'embeddingMethod',
     'enablePreAnalysis',
     'preAnalysisBatchSize',
     'preAnalysisLookAhead',
@@ -36,8 +55,21 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('show-reasoning').checked = settings.showReasoning || false;
   document.getElementById('noise-threshold').value = settings.threshold || 30;
   document.getElementById('interests').value = settings.interests || '';
+  document.getElementById('use-feedback-examples').checked = settings.useFeedbackExamples !== false;
+  document.getElementById('thread-analysis').checked = settings.threadAnalysis !== false;
+  document.getElementById('heuristic-fallback').checked = settings.heuristicFallback !== false;
+  
+  // Languages
+  const readLanguages = settings.readLanguages?.length ? settings.readLanguages : ['en'];
+  document.querySelectorAll('#read-languages input').forEach(input => {
+    input.checked = readLanguages.includes(input.value);
+  });
+  document.getElementById('unread-language-mode').value = settings.unreadLanguageMode || 'score';
+  document.getElementById('language-prompts').value = settings.languagePrompts || 'instruct';
+  loadFeedbackStats();
   document.getElementById('signal-patterns').value = settings.signalPatterns || '';
   document.getElementById('noise-patterns').value = settings.noisePatterns || '';
+  loadPromptTemplates(settings.promptTemplate || 'default');
   document.getElementById('enable-parallel-models').checked = settings.enableParallelModels || false;
   
   // Set pre-analysis settings
@@ -46,12 +78,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('preanalysis-batch-size').value = settings.preAnalysisBatchSize || 5;
   document.getElementById('preanalysis-queue-size').value = settings.maxQueueSize || 100;
   
-  // Set model checkboxes
-  if (settings.enabledModels) {
-    document.getElementById('model-anthropic').checked = settings.enabledModels.anthropic !== false;
-    document.getElementById('model-openai').checked = settings.enabledModels.openai || false;
-    document.getElementById('model-local').checked = settings.enabledModels.localLLM !== false;
-  }
+  // Ensemble model checkboxes are built by checkLLMConnection
+  document.getElementById('ensemble-strategy').value = settings.ensembleStrategy || 'weighted-average';
+  document.getElementById('ensemble-models').dataset.selected =
+    JSON.stringify(Array.isArray(settings.enabledModels) ? settings.enabledModels : []);
   
   // Set logging settings
   document.getElementById('enable-log-storage').checked = settings.enableLogStorage !== false;
@@ -60,6 +90,104 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('max-stored-logs-value').textContent = settings.maxStoredLogs || 1000;
   document.getElementById('log-performance-metrics').checked = settings.logPerformanceMetrics !== false;
 
+  // Model list is filled in by checkLLMConnection; remember the choice until then
+  const modelSelect = document.getElementById('llm-model');
+  modelSelect.dataset.selected = settings.selectedModel || '';
+  modelSelect.addEventListener('change', () => {
+    modelSelect.dataset.selected = modelSelect.value;
+  });
+
+  loadMultiAgentSettings(settings.multiAgent);
+  loadCascadeSettings(settings.cascade);
+  loadVisionSettings(settings.vision);
+  
+  // Learned classifier
+  const bayes = { prefilter: false, minConfidence: 0.8, fallback: true, ...settings.bayes };
+  document.getElementById('bayes-prefilter').checked = bayes.prefilter;
+  document.getElementById('bayes-fallback').checked = bayes.fallback;
+  document.getElementById('bayes-confidence').value = bayes.minConfidence;
+  document.getElementById('bayes-confidence').parentElement.querySelector('.slider-value').textContent = bayes.minConfidence;
+  document.getElementById('bayes-confidence').addEventListener('input', updateSliderValue);
+  document.getElementById('reset-bayes').addEventListener('click', resetBayesClassifier);
+  loadBayesStats();
+  
+  // Profiles are switched, created and deleted right away; the profile's
+  // own settings are saved with everything else
+  profiles = new Profiles();
+  profiles.onChange(renderProfiles);
+  profiles.ready.then(renderProfiles);
+  
+  // Profile schedule, saved with the other settings
+  currentSchedule = ProfileSchedule.normalize(settings.profileSchedule);
+  document.getElementById('enable-schedule').checked = currentSchedule.enabled;
+  document.getElementById('enable-schedule').addEventListener('change', toggleScheduleConfig);
+  document.getElementById('add-schedule-slot').addEventListener('click', () => {
+    currentSchedule.slots.push({
+      id: `slot_${Date.now().toString(36)}`,
+      profileId: profiles.getActive()?.id || '',
+      days: [1, 2, 3, 4, 5],
+      start: '09:00',
+      end: '18:00'
+    });
+    renderSchedule();
+  });
+  document.getElementById('schedule-default-profile').addEventListener('change', (e) => {
+    currentSchedule.defaultProfileId = e.target.value || null;
+  });
+  toggleScheduleConfig();
+  document.getElementById('profile-select').addEventListener('change', switchProfile);
+  document.getElementById('new-profile').addEventListener('click', () => editProfiles(async name => {
+    const profile = await profiles.create(name);
+    await profiles.activate(profile.id);
+  }));
+  document.getElementById('rename-profile').addEventListener('click', () => editProfiles(name =>
+    profiles.rename(profiles.getActive().id, name)
+  ));
+  document.getElementById('delete-profile').addEventListener('click', deleteProfile);
+  
+  // Author overrides are saved as soon as they change
+  authorOverrides = new AuthorOverrides();
+  authorOverrides.onChange(renderAuthorOverrides);
+  authorOverrides.ready.then(renderAuthorOverrides);
+  document.getElementById('add-author-override').addEventListener('click', addAuthorOverride);
+  document.getElementById('author-handle').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addAuthorOverride();
+  });
+  
+  // Link domain reputation
+  const domainWeight = Number.isFinite(settings.domainWeight) ? settings.domainWeight : DomainReputation.DEFAULT_WEIGHT;
+  document.getElementById('domain-weight').value = domainWeight;
+  document.getElementById('domain-weight').parentElement.querySelector('.slider-value').textContent = domainWeight;
+  document.getElementById('domain-table').value = DomainReputation.formatTable(settings.domainReputation || DomainReputation.DEFAULT_PRIORS);
+  document.getElementById('reset-domain-table').addEventListener('click', () => {
+    document.getElementById('domain-table').value = DomainReputation.formatTable(DomainReputation.DEFAULT_PRIORS);
+    document.getElementById('domain-table-error').textContent = '';
+  });
+  
+  // Rules
+  currentRules = settings.rules || [];
+  renderRules();
+  document.getElementById('add-rule').addEventListener('click', () => {
+    currentRules.push({
+      id: `rule_${Date.now().toString(36)}`,
+      name: 'New rule',
+      enabled: true,
+      type: 'keyword',
+      match: '',
+      action: 'noise'
+    });
+    renderRules();
+  });
+  
+  // Embedding scorer
+  document.getElementById('scorer').value = settings.scorer || 'llm';
+  document.getElementById('embedding-method').value = settings.embeddingMethod || 'knn';
+  document.getElementById('scorer').addEventListener('change', toggleEmbeddingSettings);
+  document.getElementById('add-signal-example').addEventListener('click', () => addExample('signal'));
+  document.getElementById('add-noise-example').addEventListener('click', () => addExample('noise'));
+  toggleEmbeddingSettings();
+  loadExampleStats();
+
   // Always show LLM settings and check connection
   document.getElementById('local-llm-settings').style.display = 'block';
   checkLLMConnection();
@@ -87,6 +215,17 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('clear-data').addEventListener('click', clearData);
   
   
+  // Multi-agent toggle
+  document.getElementById('enable-multi-agent').addEventListener('change', toggleMultiAgentConfig);
+  
+  // Cascade toggle and sliders
+  document.getElementById('enable-cascade').addEventListener('change', toggleCascadeConfig);
+  document.getElementById('cascade-confidence').addEventListener('input', updateSliderValue);
+  document.getElementById('cascade-margin').addEventListener('input', updateSliderValue);
+  document.getElementById('domain-weight').addEventListener('input', updateSliderValue);
+  document.getElementById('enable-vision').addEventListener('change', toggleVisionConfig);
+  document.getElementById('vision-max-text').addEventListener('input', updateSliderValue);
+
   // Parallel models toggle
   document.getElementById('enable-parallel-models').addEventListener('change', toggleParallelModelsConfig);
   
@@ -112,6 +251,7 @@ function toggleMethodSettings() {
 
 async function checkLLMConnection() {
   const statusEl = document.getElementById('llm-status');
+  const selectedModel = document.getElementById('llm-model').dataset.selected || '';
   statusEl.textContent = 'Checking connection...';
   statusEl.className = '';
   
@@ -125,6 +265,11 @@ async function checkLLMConnection() {
         const models = data.ollama.models.map(m => m.name).join(', ');
         statusEl.textContent = `Connected! Models available: ${models}`;
         statusEl.className = 'connected';
+        populateModelSelect(data.ollama.models, data.analysis?.model, selectedModel);
+        populateAgentModelSelects(data.ollama.models);
+        populateEnsembleModels(data.ollama.models);
+        populateCascadeSelects(data.ollama.models);
+        populateVisionSelect(data.ollama.models, data.analysis?.visionModel);
       } else {
         statusEl.textContent = 'Server running but no models installed. Run: ollama pull llama3.2:1b';
         statusEl.className = 'disconnected';
@@ -137,6 +282,662 @@ async function checkLLMConnection() {
     statusEl.textContent = 'Cannot connect to local server. Make sure it\'s running.';
     statusEl.className = 'disconnected';
   }
+  
+  // Keep the saved choice selectable even when it can't be listed right now
+  const select = document.getElementById('llm-model');
+  if (selectedModel && !Array.from(select.options).some(o => o.value === selectedModel)) {
+    const option = document.createElement('option');
+    option.value = selectedModel;
+    option.textContent = `${selectedModel} (not installed)`;
+    select.appendChild(option);
+  }
+  select.value = selectedModel;
+}
+
+function populateModelSelect(models, defaultModel, selectedModel) {
+  const select = document.getElementById('llm-model');
+  select.innerHTML = '';
+  
+  const defaultOption = document.createElement('option');
+  defaultOption.value = '';
+  defaultOption.textContent = defaultModel ? `Server default (${defaultModel})` : 'Server default';
+  select.appendChild(defaultOption);
+  
+  models.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model.name;
+    option.textContent = model.size
+      ? `${model.name} (${(model.size / 1e9).toFixed(1)} GB)`
+      : model.name;
+    select.appendChild(option);
+  });
+  
+  select.value = selectedModel;
+}
+
+function populateEnsembleModels(models) {
+  const container = document.getElementById('ensemble-models');
+  const selected = getEnsembleModels();
+  container.innerHTML = '';
+  
+  // Keep saved models listed even if they aren't installed right now
+  const names = [...new Set([...models.map(m => m.name), ...selected])];
+  names.forEach(name => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-option';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = name;
+    checkbox.checked = selected.includes(name);
+    checkbox.addEventListener('change', () => {
+      container.dataset.selected = JSON.stringify(
+        Array.from(container.querySelectorAll('input:checked')).map(input => input.value)
+      );
+    });
+    const text = document.createElement('span');
+    text.textContent = models.some(m => m.name === name) ? name : `${name} (not installed)`;
+    label.append(checkbox, text);
+    container.appendChild(label);
+  });
+}
+
+function getEnsembleModels() {
+  try {
+    return JSON.parse(document.getElementById('ensemble-models').dataset.selected || '[]');
+  } catch (error) {
+    return [];
+  }
+}
+
+let profiles = null;
+
+function renderProfiles() {
+  const select = document.getElementById('profile-select');
+  select.innerHTML = '';
+  profiles.list().forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  });
+  select.value = profiles.getActive()?.id || '';
+  document.getElementById('delete-profile').disabled = profiles.list().length <= 1;
+  renderSchedule();
+}
+
+// Schedule being edited; saved with the other settings
+let currentSchedule = ProfileSchedule.normalize();
+
+function profileOptions(selected, emptyLabel = null) {
+  const options = profiles.list().map(profile =>
+    `<option value="${profile.id}"${profile.id === selected ? ' selected' : ''}>${escapeHtml(profile.name)}</option>`
+  );
+  if (emptyLabel) {
+    options.unshift(`<option value=""${selected ? '' : ' selected'}>${emptyLabel}</option>`);
+  }
+  return options.join('');
+}
+
+function renderSchedule() {
+  const list = document.getElementById('schedule-slots');
+  list.innerHTML = currentSchedule.slots.length === 0 ? '<small>No time slots yet</small>' : '';
+  
+  currentSchedule.slots.forEach((slot, index) => {
+    const row = document.createElement('div');
+    row.className = 'schedule-row';
+    row.innerHTML = `
+      <select class="schedule-profile">${profileOptions(slot.profileId, 'Pick a profile')}</select>
+      <div class="schedule-days">
+        ${ProfileSchedule.WEEK_ORDER.map(day => `
+          <label><input type="checkbox" value="${day}"${slot.days.includes(day) ? ' checked' : ''}>${ProfileSchedule.DAY_NAMES[day]}</label>
+        `).join('')}
+      </div>
+      <input type="time" class="schedule-start" value="${slot.start}">
+      <span>–</span>
+      <input type="time" class="schedule-end" value="${slot.end}">
+      <button class="rule-delete" title="Delete">✕</button>
+      <small class="rule-error"></small>
+    `;
+    
+    const showError = () => {
+      const error = ProfileSchedule.validateSlot(slot);
+      row.classList.toggle('invalid', Boolean(error));
+      row.querySelector('.rule-error').textContent = error || '';
+    };
+    row.addEventListener('change', () => {
+      Object.assign(slot, {
+        profileId: row.querySelector('.schedule-profile').value,
+        days: Array.from(row.querySelectorAll('.schedule-days input:checked')).map(input => parseInt(input.value)),
+        start: row.querySelector('.schedule-start').value,
+        end: row.querySelector('.schedule-end').value
+      });
+      showError();
+    });
+    row.querySelector('.rule-delete').addEventListener('click', () => {
+      currentSchedule.slots.splice(index, 1);
+      renderSchedule();
+    });
+    showError();
+    list.appendChild(row);
+  });
+  
+  document.getElementById('schedule-default-profile').innerHTML =
+    profileOptions(currentSchedule.defaultProfileId, 'Keep the current profile');
+}
+
+function toggleScheduleConfig() {
+  currentSchedule.enabled = document.getElementById('enable-schedule').checked;
+  document.getElementById('schedule-config').style.display = currentSchedule.enabled ? 'block' : 'none';
+}
+
+// Shows a profile's own settings in the form
+function loadProfileSettings(profileSettings) {
+  const threshold = profileSettings.threshold || 30;
+  document.getElementById('interests').value = profileSettings.interests || '';
+  document.getElementById('signal-patterns').value = profileSettings.signalPatterns || '';
+  document.getElementById('noise-patterns').value = profileSettings.noisePatterns || '';
+  document.getElementById('noise-threshold').value = threshold;
+  updateSliderValue();
+  document.getElementById('auto-hide').checked = profileSettings.autoHide || false;
+  const modelSelect = document.getElementById('llm-model');
+  modelSelect.dataset.selected = profileSettings.selectedModel || '';
+  modelSelect.value = modelSelect.dataset.selected;
+}
+
+async function switchProfile(e) {
+  await profiles.activate(e.target.value);
+  loadProfileSettings(profiles.getActive().settings);
+}
+
+async function editProfiles(change) {
+  const input = document.getElementById('profile-name');
+  const error = document.getElementById('profile-error');
+  try {
+    await change(input.value);
+    input.value = '';
+    error.textContent = '';
+  } catch (e) {
+    error.textContent = e.message;
+  }
+}
+
+async function deleteProfile() {
+  const active = profiles.getActive();
+  if (!active || !confirm(`Delete the profile "${active.name}"?`)) {
+    return;
+  }
+  try {
+    await profiles.remove(active.id);
+    loadProfileSettings(profiles.getActive().settings);
+    document.getElementById('profile-error').textContent = '';
+  } catch (e) {
+    document.getElementById('profile-error').textContent = e.message;
+  }
+}
+
+let authorOverrides = null;
+
+function renderAuthorOverrides() {
+  const list = document.getElementById('author-overrides-list');
+  const overrides = authorOverrides.list();
+  list.innerHTML = '';
+  
+  if (overrides.length === 0) {
+    list.innerHTML = '<small>No author overrides yet</small>';
+    return;
+  }
+  
+  overrides.forEach(({ handle, action }) => {
+    const row = document.createElement('div');
+    row.className = 'author-override-row';
+    row.innerHTML = `
+      <span class="author-handle">@${handle}</span>
+      <select>
+        <option value="signal">Always signal</option>
+        <option value="noise">Always noise</option>
+      </select>
+      <button class="rule-delete" title="Remove">✕</button>
+    `;
+    
+    const select = row.querySelector('select');
+    select.value = action;
+    select.addEventListener('change', () => authorOverrides.set(handle, select.value));
+    row.querySelector('.rule-delete').addEventListener('click', () => authorOverrides.remove(handle));
+    list.appendChild(row);
+  });
+}
+
+async function addAuthorOverride() {
+  const input = document.getElementById('author-handle');
+  const error = document.getElementById('author-override-error');
+  
+  try {
+    await authorOverrides.set(input.value, document.getElementById('author-action').value);
+    input.value = '';
+    error.textContent = '';
+  } catch (e) {
+    error.textContent = e.message;
+  }
+}
+
+// Rules being edited; saved with the other settings
+let currentRules = [];
+
+const RULE_PLACEHOLDERS = {
+  keyword: 'giveaway, airdrop, follow for follow',
+  regex: '^(gm|gn)\\b',
+  domain: 'github.com, arxiv.org',
+  hashtag: '#ai, #ml',
+  author: '@karpathy, @paulg',
+  metric: 'likes >= 1000'
+};
+
+function getRuleError(rule) {
+  try {
+    RuleEngine.compile(rule);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function renderRules() {
+  const list = document.getElementById('rules-list');
+  list.innerHTML = '';
+  
+  if (currentRules.length === 0) {
+    list.innerHTML = '<small>No rules yet</small>';
+    return;
+  }
+  
+  currentRules.forEach((rule, index) => {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+    row.innerHTML = `
+      <input type="checkbox" class="rule-enabled" title="Enabled">
+      <input type="text" class="rule-name" placeholder="Name">
+      <select class="rule-type">
+        ${RuleEngine.TYPES.map(type => `<option value="${type}">${type}</option>`).join('')}
+      </select>
+      <input type="text" class="rule-match">
+      <select class="rule-action">
+        <option value="signal">Signal</option>
+        <option value="noise">Noise</option>
+      </select>
+      <input type="number" class="rule-score" min="0" max="100" title="Score">
+      <div class="rule-actions">
+        <button class="rule-up" title="Move up">↑</button>
+        <button class="rule-down" title="Move down">↓</button>
+        <button class="rule-delete" title="Delete">✕</button>
+      </div>
+      <small class="rule-error"></small>
+    `;
+    
+    const fields = {
+      enabled: row.querySelector('.rule-enabled'),
+      name: row.querySelector('.rule-name'),
+      type: row.querySelector('.rule-type'),
+      match: row.querySelector('.rule-match'),
+      action: row.querySelector('.rule-action'),
+      score: row.querySelector('.rule-score')
+    };
+    fields.enabled.checked = rule.enabled !== false;
+    fields.name.value = rule.name || '';
+    fields.type.value = rule.type;
+    fields.match.value = rule.match || '';
+    fields.match.placeholder = RULE_PLACEHOLDERS[rule.type] || '';
+    fields.action.value = rule.action;
+    fields.score.value = Number.isFinite(rule.score) ? rule.score : '';
+    fields.score.placeholder = RuleEngine.DEFAULT_SCORES[rule.action];
+    
+    const showError = () => {
+      const error = rule.enabled ? getRuleError(rule) : null;
+      row.classList.toggle('invalid', Boolean(error));
+      row.querySelector('.rule-error').textContent = error || '';
+    };
+    
+    const update = () => {
+      const score = parseInt(fields.score.value);
+      Object.assign(rule, {
+        enabled: fields.enabled.checked,
+        name: fields.name.value.trim() || 'Unnamed rule',
+        type: fields.type.value,
+        match: fields.match.value,
+        action: fields.action.value,
+        score: Number.isFinite(score) ? Math.max(0, Math.min(100, score)) : undefined
+      });
+      fields.match.placeholder = RULE_PLACEHOLDERS[rule.type] || '';
+      fields.score.placeholder = RuleEngine.DEFAULT_SCORES[rule.action];
+      showError();
+    };
+    Object.values(fields).forEach(field => field.addEventListener('input', update));
+    Object.values(fields).forEach(field => field.addEventListener('change', update));
+    
+    const move = offset => {
+      const target = index + offset;
+      if (target < 0 || target >= currentRules.length) return;
+      [currentRules[index], currentRules[target]] = [currentRules[target], currentRules[index]];
+      renderRules();
+    };
+    row.querySelector('.rule-up').addEventListener('click', () => move(-1));
+    row.querySelector('.rule-down').addEventListener('click', () => move(1));
+    row.querySelector('.rule-delete').addEventListener('click', () => {
+      currentRules.splice(index, 1);
+      renderRules();
+    });
+    
+    showError();
+    list.appendChild(row);
+  });
+}
+
+async function loadFeedbackStats() {
+  const statsEl = document.getElementById('feedback-stats');
+  try {
+    const response = await fetch('http://localhost:3001/feedback');
+    const { stats } = await response.json();
+    statsEl.textContent = `${stats.entries} labeled tweets (${stats.corrections} corrections)`;
+  } catch (error) {
+    statsEl.textContent = '';
+  }
+}
+
+async function loadBayesStats() {
+  const stored = await chrome.storage.local.get([BayesClassifier.STORAGE_KEY]);
+  const stats = BayesClassifier.summarize(stored[BayesClassifier.STORAGE_KEY]);
+  const labels = `${stats.signal} signal and ${stats.noise} noise labels`;
+  document.getElementById('bayes-stats').textContent = stats.total > 0
+    ? `${Math.round(stats.accuracy * 100)}% of your last ${stats.total} labels predicted correctly (${labels})`
+    : stats.signal + stats.noise > 0
+      ? `Not measured yet (${labels})`
+      : 'No labels yet';
+}
+
+async function resetBayesClassifier() {
+  if (!confirm('Forget everything the classifier learned? Your feedback labels are kept.')) {
+    return;
+  }
+  await chrome.storage.local.set({
+    [BayesClassifier.STORAGE_KEY]: { ...BayesClassifier.emptyModel(), bootstrapped: true }
+  });
+  loadBayesStats();
+}
+
+function toggleEmbeddingSettings() {
+  const enabled = document.getElementById('scorer').value === 'embedding';
+  document.getElementById('embedding-settings').style.display = enabled ? 'block' : 'none';
+}
+
+function showExampleStats(stats) {
+  document.getElementById('example-stats').textContent =
+    `${stats.signal} signal, ${stats.noise} noise (embedded with ${stats.model})`;
+}
+
+async function loadExampleStats() {
+  try {
+    const response = await fetch('http://localhost:3001/examples');
+    const data = await response.json();
+    showExampleStats(data.stats);
+  } catch (error) {
+    document.getElementById('example-stats').textContent = 'Local server not reachable';
+  }
+}
+
+async function addExample(label) {
+  const textarea = document.getElementById('example-text');
+  const text = textarea.value.trim();
+  if (!text) return;
+  
+  try {
+    const response = await fetch('http://localhost:3001/examples', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, label })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.detail || data.error);
+    }
+    textarea.value = '';
+    showExampleStats(data.stats);
+  } catch (error) {
+    document.getElementById('example-stats').textContent = `Could not add example: ${error.message}`;
+  }
+}
+
+function loadCascadeSettings(cascade = {}) {
+  document.getElementById('enable-cascade').checked = cascade.enabled || false;
+  document.getElementById('cascade-fast-model').dataset.selected = cascade.fastModel || '';
+  document.getElementById('cascade-strong-model').dataset.selected = cascade.strongModel || '';
+  
+  ['confidence', 'margin'].forEach(name => {
+    const slider = document.getElementById(`cascade-${name}`);
+    const value = name === 'confidence' ? cascade.confidenceCutoff : cascade.thresholdMargin;
+    if (value !== undefined) slider.value = value;
+    slider.parentElement.querySelector('.slider-value').textContent = slider.value;
+  });
+  
+  toggleCascadeConfig();
+}
+
+// Without a saved choice, the smallest installed model is the fast stage and
+// the largest the accurate one
+function populateCascadeSelects(models) {
+  const bySize = [...models].sort((a, b) => (a.size || 0) - (b.size || 0));
+  const defaults = {
+    fast: bySize[0]?.name || '',
+    strong: bySize[bySize.length - 1]?.name || ''
+  };
+  
+  Object.entries(defaults).forEach(([stage, fallback]) => {
+    const select = document.getElementById(`cascade-${stage}-model`);
+    const selected = select.dataset.selected || fallback;
+    select.innerHTML = '';
+    
+    const names = models.map(m => m.name);
+    if (selected && !names.includes(selected)) names.push(selected);
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = models.some(m => m.name === name) ? name : `${name} (not installed)`;
+      select.appendChild(option);
+    });
+    
+    select.value = selected;
+    select.onchange = () => {
+      select.dataset.selected = select.value;
+    };
+  });
+}
+
+function getCascadeSettings() {
+  const fastSelect = document.getElementById('cascade-fast-model');
+  const strongSelect = document.getElementById('cascade-strong-model');
+  return {
+    enabled: document.getElementById('enable-cascade').checked,
+    fastModel: fastSelect.value || fastSelect.dataset.selected || '',
+    strongModel: strongSelect.value || strongSelect.dataset.selected || '',
+    confidenceCutoff: parseFloat(document.getElementById('cascade-confidence').value),
+    thresholdMargin: parseInt(document.getElementById('cascade-margin').value)
+  };
+}
+
+function toggleCascadeConfig() {
+  const enabled = document.getElementById('enable-cascade').checked;
+  document.getElementById('cascade-config').style.display = enabled ? 'block' : 'none';
+}
+
+function loadVisionSettings(vision = {}) {
+  document.getElementById('enable-vision').checked = vision.enabled || false;
+  document.getElementById('vision-model').dataset.selected = vision.model || '';
+  
+  const slider = document.getElementById('vision-max-text');
+  if (vision.maxTextLength !== undefined) slider.value = vision.maxTextLength;
+  slider.parentElement.querySelector('.slider-value').textContent = slider.value;
+  
+  toggleVisionConfig();
+}
+
+// Installed models plus the fake model, which needs no download
+function populateVisionSelect(models, serverDefault) {
+  const select = document.getElementById('vision-model');
+  const selected = select.dataset.selected || '';
+  select.innerHTML = '';
+  
+  const options = [
+    { value: '', label: `Server default${serverDefault ? ` (${serverDefault})` : ''}` },
+    ...models.map(m => ({ value: m.name, label: m.name })),
+    { value: 'fake-vision', label: 'fake-vision (for testing, ignores the pixels)' }
+  ];
+  if (selected && !options.some(option => option.value === selected)) {
+    options.push({ value: selected, label: `${selected} (not installed)` });
+  }
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  
+  select.value = selected;
+  select.onchange = () => {
+    select.dataset.selected = select.value;
+  };
+}
+
+function getVisionSettings() {
+  const select = document.getElementById('vision-model');
+  return {
+    enabled: document.getElementById('enable-vision').checked,
+    model: select.value || select.dataset.selected || '',
+    maxTextLength: parseInt(document.getElementById('vision-max-text').value)
+  };
+}
+
+function toggleVisionConfig() {
+  const enabled = document.getElementById('enable-vision').checked;
+  document.getElementById('vision-config').style.display = enabled ? 'block' : 'none';
+}
+
+const AGENT_NAMES = ['account', 'content', 'media'];
+
+function loadMultiAgentSettings(multiAgent = {}) {
+  document.getElementById('enable-multi-agent').checked = multiAgent.enabled || false;
+  document.getElementById('agent-aggregation').value = multiAgent.aggregation || 'veto-on-noise';
+  
+  AGENT_NAMES.forEach(name => {
+    const agent = multiAgent.agents?.[name];
+    if (!agent) return;
+    
+    document.getElementById(`agent-${name}-enabled`).checked = agent.enabled !== false;
+    document.getElementById(`agent-${name}-weight`).value = agent.weight ?? 1;
+    
+    // Models are listed once the server answers; keep the choice until then
+    const select = document.getElementById(`agent-${name}-model`);
+    select.dataset.selected = agent.model || '';
+    if (agent.model) {
+      const option = document.createElement('option');
+      option.value = agent.model;
+      option.textContent = agent.model;
+      select.appendChild(option);
+      select.value = agent.model;
+    }
+  });
+  
+  toggleMultiAgentConfig();
+}
+
+function populateAgentModelSelects(models) {
+  AGENT_NAMES.forEach(name => {
+    const select = document.getElementById(`agent-${name}-model`);
+    const selected = select.dataset.selected ?? select.value;
+    select.innerHTML = '<option value="">Analysis model</option>';
+    
+    models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.name;
+      option.textContent = model.name;
+      select.appendChild(option);
+    });
+    
+    if (selected && !models.some(m => m.name === selected)) {
+      const option = document.createElement('option');
+      option.value = selected;
+      option.textContent = `${selected} (not installed)`;
+      select.appendChild(option);
+    }
+    select.value = selected;
+    select.onchange = () => {
+      select.dataset.selected = select.value;
+    };
+  });
+}
+
+function getMultiAgentSettings() {
+  const agents = {};
+  AGENT_NAMES.forEach(name => {
+    const weight = parseFloat(document.getElementById(`agent-${name}-weight`).value);
+    agents[name] = {
+      enabled: document.getElementById(`agent-${name}-enabled`).checked,
+      weight: Number.isFinite(weight) && weight >= 0 ? weight : 1,
+      model: document.getElementById(`agent-${name}-model`).value || null
+    };
+  });
+  
+  return {
+    enabled: document.getElementById('enable-multi-agent').checked,
+    aggregation: document.getElementById('agent-aggregation').value,
+    agents
+  };
+}
+
+function toggleMultiAgentConfig() {
+  const enabled = document.getElementById('enable-multi-agent').checked;
+  document.getElementById('multi-agent-config').style.display = enabled ? 'block' : 'none';
+}
+
+async function loadPromptTemplates(selected) {
+  const select = document.getElementById('prompt-template');
+  const description = document.getElementById('prompt-template-description');
+  
+  try {
+    const response = await fetch('http://localhost:3001/templates');
+    const data = await response.json();
+    
+    select.innerHTML = '';
+    data.templates.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.name;
+      option.textContent = `${template.name} (v${template.version})`;
+      option.dataset.description = template.description;
+      select.appendChild(option);
+    });
+    
+    // Keep a saved template selectable even if it was removed from disk
+    if (!data.templates.some(t => t.name === selected)) {
+      const option = document.createElement('option');
+      option.value = selected;
+      option.textContent = `${selected} (not found on server)`;
+      select.appendChild(option);
+    }
+    
+    select.addEventListener('change', () => {
+      description.textContent = select.selectedOptions[0]?.dataset.description || '';
+    });
+  } catch (error) {
+    // Server offline - keep the saved value so saving doesn't reset it
+    if (selected !== 'default') {
+      const option = document.createElement('option');
+      option.value = selected;
+      option.textContent = selected;
+      select.appendChild(option);
+    }
+  }
+  
+  select.value = selected;
+  if (select.selectedOptions[0]?.dataset.description) {
+    description.textContent = select.selectedOptions[0].dataset.description;
+  }
 }
 
 function updateSliderValue(event) {
@@ -167,6 +968,32 @@ function togglePreAnalysisSettings() {
 async function saveSettings() {
   const selectedMethod = document.querySelector('input[name="analysis-method"]:checked').value;
   
+  // Enabled rules must compile before anything is saved
+  const invalidRule = currentRules.find(rule => rule.enabled && getRuleError(rule));
+  if (invalidRule) {
+    const status = document.getElementById('save-status');
+    status.textContent = `Fix rule "${invalidRule.name}": ${getRuleError(invalidRule)}`;
+    status.className = 'save-status error';
+    return;
+  }
+  
+  const invalidSlot = currentSchedule.enabled && currentSchedule.slots.find(slot => ProfileSchedule.validateSlot(slot));
+  if (invalidSlot) {
+    const status = document.getElementById('save-status');
+    status.textContent = `Fix the ${ProfileSchedule.describe(invalidSlot)} time slot: ${ProfileSchedule.validateSlot(invalidSlot)}`;
+    status.className = 'save-status error';
+    return;
+  }
+  
+  const domainTable = DomainReputation.parseTable(document.getElementById('domain-table').value);
+  document.getElementById('domain-table-error').textContent = domainTable.errors.join('; ');
+  if (domainTable.errors.length > 0) {
+    const status = document.getElementById('save-status');
+    status.textContent = 'Fix the domain scores table';
+    status.className = 'save-status error';
+    return;
+  }
+  
   const settings = {
     useAI: selectedMethod === 'cloud-ai',
     useLocalLLM: selectedMethod === 'local-llm',
@@ -179,14 +1006,33 @@ async function saveSettings() {
     showReasoning: document.getElementById('show-reasoning').checked,
     threshold: parseInt(document.getElementById('noise-threshold').value),
     interests: document.getElementById('interests').value,
+    useFeedbackExamples: document.getElementById('use-feedback-examples').checked,
+    threadAnalysis: document.getElementById('thread-analysis').checked,
+    heuristicFallback: document.getElementById('heuristic-fallback').checked,
+    profileSchedule: currentSchedule,
+    bayes: {
+      prefilter: document.getElementById('bayes-prefilter').checked,
+      minConfidence: parseFloat(document.getElementById('bayes-confidence').value),
+      fallback: document.getElementById('bayes-fallback').checked
+    },
+    readLanguages: Array.from(document.querySelectorAll('#read-languages input:checked')).map(input => input.value),
+    unreadLanguageMode: document.getElementById('unread-language-mode').value,
+    languagePrompts: document.getElementById('language-prompts').value,
+    rules: currentRules,
+    domainReputation: domainTable.priors,
+    domainWeight: parseFloat(document.getElementById('domain-weight').value),
     signalPatterns: document.getElementById('signal-patterns').value,
     noisePatterns: document.getElementById('noise-patterns').value,
+    promptTemplate: document.getElementById('prompt-template').value,
+    selectedModel: document.getElementById('llm-model').value,
     enableParallelModels: document.getElementById('enable-parallel-models').checked,
-    enabledModels: {
-      anthropic: document.getElementById('model-anthropic').checked,
-      openai: document.getElementById('model-openai').checked,
-      localLLM: document.getElementById('model-local').checked
-    },
+    enabledModels: getEnsembleModels(),
+    ensembleStrategy: document.getElementById('ensemble-strategy').value,
+    multiAgent: getMultiAgentSettings(),
+    cascade: getCascadeSettings(),
+    vision: getVisionSettings(),
+    scorer: document.getElementById('scorer').value,
+    embeddingMethod: document.getElementById('embedding-method').value,
     enablePreAnalysis: document.getElementById('enable-preanalysis').checked,
     preAnalysisLookAhead: parseInt(document.getElementById('preanalysis-lookahead').value),
     preAnalysisBatchSize: parseInt(document.getElementById('preanalysis-batch-size').value),
@@ -200,6 +1046,7 @@ async function saveSettings() {
 
   try {
     await chrome.storage.local.set(settings);
+    await profiles.saveActive(settings);
     
     // Show success message
     const status = document.getElementById('save-status');
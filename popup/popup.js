@@ -1,3 +1,6 @@
+// Named preference profiles, switchable from here
+let profiles = null;
+
 // Initialize popup
 document.addEventListener('DOMContentLoaded', async () => {
   // Initialize waveform
@@ -59,6 +62,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Update stats
   updateStats(settings.stats || {});
 
+  // Profiles
+  profiles = new Profiles();
+  await profiles.ready;
+  renderProfiles();
+  document.getElementById('profile-select').addEventListener('change', switchProfile);
+  showScheduleStatus();
+
   // Draw initial chart
   drawChart();
 
@@ -203,6 +213,56 @@ function drawChart() {
   ctx.fill();
 }
 
+function renderProfiles() {
+  const select = document.getElementById('profile-select');
+  const list = profiles.list();
+  select.innerHTML = '';
+  list.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  });
+  select.value = profiles.getActive()?.id || '';
+  document.getElementById('profile-control').style.display = list.length > 1 ? 'flex' : 'none';
+}
+
+// Which schedule slot applies right now, as recorded by the background
+async function showScheduleStatus() {
+  const stored = await chrome.storage.local.get([ProfileSchedule.STORAGE_KEY, ProfileSchedule.STATUS_KEY]);
+  const schedule = ProfileSchedule.normalize(stored[ProfileSchedule.STORAGE_KEY]);
+  const status = stored[ProfileSchedule.STATUS_KEY];
+  const element = document.getElementById('schedule-status');
+  if (!schedule.enabled || !status) {
+    element.style.display = 'none';
+    return;
+  }
+  
+  const slot = schedule.slots.find(s => s.id === status.slotId);
+  const profileName = profiles.profiles[status.profileId]?.name || 'current profile';
+  let text = `🕘 ${slot ? ProfileSchedule.describe(slot) : 'Outside scheduled hours'} → ${profileName}`;
+  if (status.until) {
+    const until = new Date(status.until);
+    const sameDay = until.toDateString() === new Date().toDateString();
+    text += ` until ${until.toLocaleString([], sameDay
+      ? { hour: '2-digit', minute: '2-digit' }
+      : { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`;
+  }
+  element.textContent = text;
+  element.style.display = 'block';
+}
+
+// Open X tabs follow the switch through storage; only the controls here
+// need updating
+async function switchProfile(e) {
+  await profiles.activate(e.target.value);
+  const active = profiles.getActive().settings;
+  const threshold = active.threshold || 30;
+  document.getElementById('auto-hide').checked = active.autoHide || false;
+  document.getElementById('threshold').value = threshold;
+  document.getElementById('threshold-value').textContent = `${threshold}%`;
+}
+
 function saveSettings() {
   const settings = {
     autoHide: document.getElementById('auto-hide').checked,
@@ -211,6 +271,7 @@ function saveSettings() {
   };
 
   chrome.storage.local.set(settings);
+  profiles?.saveActive(settings);
 
   // Send settings to content script
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
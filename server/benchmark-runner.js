@@ -0,0 +1,158 @@
+// Measurements for the benchmark CLI (benchmark.js), run against one model
+// through an OllamaClient, and the pick of a default model from them.
+
+import { ANALYSIS_SCHEMA, BATCH_SCHEMA } from './schema.js';
+import { confusionMatrix, classificationMetrics, percentiles } from './eval-metrics.js';
+
+// p95 for a single tweet above this feels laggy while scrolling
+export const DEFAULT_LATENCY_BUDGET = 3000;
+// Below this share of parseable replies too many tweets go unscored
+export const MIN_COMPLIANCE = 0.9;
+// Models this close in agreement count as equally good; the faster one wins
+export const AGREEMENT_TOLERANCE = 0.02;
+
+// One prompt, timed, with the provider's token counts when it reports them
+async function timedGenerate(client, prompt, options) {
+  const startTime = Date.now();
+  const { response, stats } = await client.provider.generateWithStats(prompt, options);
+  return { response, stats, latency: Date.now() - startTime };
+}
+
+async function measureColdStart(client, model, tweet, preferences) {
+  let unloaded = false;
+  if (typeof client.provider.unload === 'function') {
+    try {
+      await client.provider.unload(model);
+      unloaded = true;
+    } catch (error) {
+      // Measured as a first request below, which may find the model loaded
+    }
+  }
+
+  const prompt = client.buildAnalysisPrompt(tweet.text, preferences, undefined, { language: tweet.language });
+  const { stats, latency } = await timedGenerate(client, prompt, { model, format: ANALYSIS_SCHEMA, temperature: 0.1, max_tokens: 100 });
+  return { latency, loadMs: stats.loadMs, unloaded };
+}
+
+async function benchmarkSingle(client, model, tweets, preferences) {
+  const latencies = [];
+  const predictions = [];
+  let outputTokens = 0;
+  let generationMs = 0;
+  let compliant = 0;
+  let errors = 0;
+
+  for (const [index, tweet] of tweets.entries()) {
+    process.stderr.write(`\r  ${model}: single ${index + 1}/${tweets.length}`);
+    const prompt = client.buildAnalysisPrompt(tweet.text, preferences, undefined, { language: tweet.language });
+    let result;
+    try {
+      result = await timedGenerate(client, prompt, { model, format: ANALYSIS_SCHEMA, temperature: 0.1, max_tokens: 100 });
+    } catch (error) {
+      errors++;
+      predictions.push({ id: tweet.id, label: tweet.label, error: error.message });
+      continue;
+    }
+
+    latencies.push(result.latency);
+    outputTokens += result.stats.outputTokens || 0;
+    generationMs += result.stats.generationMs ?? result.latency;
+    try {
+      const parsed = client.parseAnalysisResponse(result.response, preferences.threshold);
+      compliant++;
+      predictions.push({ id: tweet.id, label: tweet.label, score: parsed.score, isSignal: parsed.isSignal });
+    } catch (error) {
+      predictions.push({ id: tweet.id, label: tweet.label, error: error.code || error.message });
+    }
+  }
+  process.stderr.write('\n');
+
+  return {
+    requests: tweets.length,
+    errors,
+    compliance: compliant / tweets.length,
+    latency: percentiles(latencies, [50, 95]),
+    tokensPerSecond: outputTokens > 0 && generationMs > 0 ? outputTokens / (generationMs / 1000) : null,
+    predictions
+  };
+}
+
+async function benchmarkBatch(client, model, tweets, preferences, batchSize) {
+  const latencies = [];
+  let compliant = 0;
+  let errors = 0;
+  let batches = 0;
+
+  for (let start = 0; start < tweets.length; start += batchSize) {
+    const batch = tweets.slice(start, start + batchSize);
+    batches++;
+    process.stderr.write(`\r  ${model}: batch ${batches}/${Math.ceil(tweets.length / batchSize)}`);
+    const prompt = client.buildCompactBatchPrompt(batch.map((tweet, index) => ({ index, tweet })), preferences);
+    let result;
+    try {
+      result = await timedGenerate(client, prompt, { model, format: BATCH_SCHEMA, temperature: 0.1, max_tokens: 20 * batch.length });
+    } catch (error) {
+      errors++;
+      continue;
+    }
+
+    latencies.push(result.latency);
+    try {
+      const parsed = client.parseBatchResponse(result.response, batch.length, preferences.threshold);
+      // A batch only counts when every tweet in it got a score
+      if (parsed.every(entry => !entry.error)) compliant++;
+    } catch (error) {
+      // Counted as non-compliant
+    }
+  }
+  process.stderr.write('\n');
+
+  return {
+    requests: batches,
+    batchSize,
+    errors,
+    compliance: batches > 0 ? compliant / batches : 0,
+    latency: percentiles(latencies, [50, 95])
+  };
+}
+
+export async function benchmarkModel(client, model, tweets, options) {
+  const preferences = { threshold: options.threshold };
+  const coldStart = await measureColdStart(client, model, tweets[0], preferences);
+  const single = await benchmarkSingle(client, model, tweets, preferences);
+  const batch = await benchmarkBatch(client, model, tweets, preferences, options.batchSize);
+  const agreement = classificationMetrics(confusionMatrix(single.predictions));
+  const scored = single.predictions.filter(prediction => !prediction.error).length;
+
+  return {
+    model,
+    coldStart,
+    tokensPerSecond: single.tokensPerSecond,
+    single: { requests: single.requests, errors: single.errors, compliance: single.compliance, latency: single.latency },
+    batch,
+    agreement: { scored, accuracy: agreement.accuracy, f1: agreement.f1 }
+  };
+}
+
+// The most accurate model that answers reliably and fast enough; among
+// models about as accurate, the fastest
+export function recommendModel(results, latencyBudget = DEFAULT_LATENCY_BUDGET) {
+  const reliable = results.filter(result => !result.error && result.single.compliance >= MIN_COMPLIANCE);
+  if (reliable.length === 0) {
+    return { model: null, reason: `No model produced valid JSON for at least ${MIN_COMPLIANCE * 100}% of tweets` };
+  }
+
+  const fastEnough = reliable.filter(result => result.single.latency.p95 <= latencyBudget);
+  const candidates = fastEnough.length > 0 ? fastEnough : reliable;
+  const best = Math.max(...candidates.map(result => result.agreement.accuracy));
+  const close = candidates.filter(result => result.agreement.accuracy >= best - AGREEMENT_TOLERANCE);
+  const pick = close.sort((a, b) => a.single.latency.p50 - b.single.latency.p50)[0];
+
+  const reasons = [`${Math.round(pick.agreement.accuracy * 100)}% agreement with the reference set`, `p95 ${Math.round(pick.single.latency.p95)}ms per tweet`];
+  if (fastEnough.length === 0) {
+    reasons.push(`no model stayed under the ${latencyBudget}ms p95 budget, so this is the most accurate reliable one`);
+  } else if (close.length > 1) {
+    reasons.push(`fastest of the ${close.length} models within ${AGREEMENT_TOLERANCE * 100} points of the best agreement`);
+  }
+  return { model: pick.model, reason: reasons.join('; ') };
+}
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+/**
+ * Model benchmark for this machine.
+ *
+ * For every installed model (or the ones named with --model) measures
+ * cold-start time, generation speed in tokens/sec, p50/p95 latency of
+ * single-tweet and batch prompts, how often the output passes
+ * parseAnalysisResponse / parseBatchResponse, and how well the scores agree
+ * with a labeled reference set. Writes a report and recommends a default
+ * model.
+ *
+ *   node benchmark.js [--model a,b] [--reference reference-tweets.jsonl] [--batch-size 5]
+ *                     [--threshold 30] [--latency-budget 3000] [--out benchmark-report.md]
+ *
+ * --out ending in .json writes the raw numbers instead of Markdown.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import OllamaClient from './ollama-client.js';
+import { createProvider } from './providers/index.js';
+import { benchmarkModel, recommendModel, DEFAULT_LATENCY_BUDGET } from './benchmark-runner.js';
+import { loadDataset } from './dataset.js';
+
+dotenv.config();
+
+const DEFAULT_REFERENCE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'reference-tweets.jsonl');
+const DEFAULT_OUT = 'benchmark-report.md';
+const DEFAULT_BATCH_SIZE = 5;
+const DEFAULT_THRESHOLD = 30;
+
+function usage() {
+  console.log(`Usage:
+  node benchmark.js [--model a,b] [--reference reference-tweets.jsonl] [--batch-size ${DEFAULT_BATCH_SIZE}]
+                    [--threshold ${DEFAULT_THRESHOLD}] [--latency-budget ${DEFAULT_LATENCY_BUDGET}] [--out ${DEFAULT_OUT}]`);
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help' || argv[i] === '-h') {
+      options.help = true;
+    } else if (argv[i].startsWith('--')) {
+      const [name, inline] = argv[i].slice(2).split('=', 2);
+      options[name] = inline ?? argv[++i];
+      if (options[name] === undefined) {
+        throw new Error(`--${name} needs a value`);
+      }
+    } else {
+      throw new Error(`Unexpected argument "${argv[i]}"`);
+    }
+  }
+  return options;
+}
+
+// Embedding models can't generate text
+function isEmbeddingModel(name) {
+  return /embed/i.test(name);
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(0)}%`;
+}
+
+function formatMs(value) {
+  return value === null || value === undefined ? 'n/a' : `${Math.round(value)}ms`;
+}
+
+function formatColdStart(coldStart) {
+  const load = coldStart.loadMs !== null ? ` (load ${formatMs(coldStart.loadMs)})` : '';
+  return `${formatMs(coldStart.latency)}${load}${coldStart.unloaded ? '' : '*'}`;
+}
+
+function machineInfo() {
+  const cpus = os.cpus();
+  return {
+    platform: `${os.platform()} ${os.release()} (${os.arch()})`,
+    cpu: cpus.length > 0 ? `${cpus[0].model.trim()} × ${cpus.length}` : 'unknown',
+    memory: `${(os.totalmem() / 1024 ** 3).toFixed(1)} GB`
+  };
+}
+
+function markdownReport(report) {
+  const lines = [
+    '# Model Benchmark',
+    '',
+    `${report.createdAt} · ${report.machine.platform} · ${report.machine.cpu} · ${report.machine.memory} RAM · provider ${report.provider}`,
+    '',
+    `Reference set: ${report.reference} (${report.tweets} tweets), threshold ${report.threshold}, batches of ${report.batchSize}.`,
+    '',
+    '| Model | Cold start | Tokens/sec | Single p50 | Single p95 | Batch p50 | Batch p95 | JSON single | JSON batch | Agreement | F1 |',
+    '|-------|-----------|-----------|-----------|-----------|----------|----------|------------|-----------|-----------|----|'
+  ];
+  for (const result of report.results) {
+    if (result.error) {
+      lines.push(`| ${result.model} | failed: ${result.error} | | | | | | | | | |`);
+      continue;
+    }
+    lines.push(`| ${[
+      result.model,
+      formatColdStart(result.coldStart),
+      result.tokensPerSecond !== null ? result.tokensPerSecond.toFixed(1) : 'n/a',
+      formatMs(result.single.latency.p50),
+      formatMs(result.single.latency.p95),
+      formatMs(result.batch.latency.p50),
+      formatMs(result.batch.latency.p95),
+      formatPercent(result.single.compliance),
+      formatPercent(result.batch.compliance),
+      formatPercent(result.agreement.accuracy),
+      formatPercent(result.agreement.f1)
+    ].join(' | ')} |`);
+  }
+  if (report.results.some(result => result.coldStart && !result.coldStart.unloaded)) {
+    lines.push('', '\\* The backend can\'t unload models, so this is the first request and the model may already have been loaded.');
+  }
+  if (report.skipped.length > 0) {
+    lines.push('', `Skipped embedding models: ${report.skipped.join(', ')}`);
+  }
+  lines.push('', '## Recommendation', '');
+  if (report.recommendation.model) {
+    lines.push(`**${report.recommendation.model}**: ${report.recommendation.reason}.`, '');
+    lines.push(`Make it the server default with \`LLM_MODEL=${report.recommendation.model}\` in \`server/.env\`.`);
+  } else {
+    lines.push(report.recommendation.reason);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    usage();
+    return;
+  }
+
+  const reference = options.reference || DEFAULT_REFERENCE;
+  const tweets = loadDataset(reference);
+  if (tweets.length === 0) {
+    throw new Error(`${reference} has no tweets`);
+  }
+  const settings = {
+    threshold: options.threshold ? parseInt(options.threshold) : DEFAULT_THRESHOLD,
+    batchSize: Math.max(1, parseInt(options['batch-size'] || DEFAULT_BATCH_SIZE)),
+    latencyBudget: parseInt(options['latency-budget'] || DEFAULT_LATENCY_BUDGET)
+  };
+
+  const client = new OllamaClient(createProvider());
+  if (!await client.checkHealth()) {
+    throw new Error(`Cannot reach the ${client.provider.name} server. Is it running?`);
+  }
+  const installed = (await client.listModels()).map(model => model.name);
+  const requested = options.model ? options.model.split(',').map(name => name.trim()).filter(Boolean) : installed;
+  const missing = requested.filter(name => !installed.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`Not installed: ${missing.join(', ')} (installed: ${installed.join(', ') || 'none'})`);
+  }
+  const skipped = requested.filter(isEmbeddingModel);
+  const models = requested.filter(name => !isEmbeddingModel(name));
+  if (models.length === 0) {
+    throw new Error('No models to benchmark');
+  }
+
+  console.log(`⏱️  Benchmarking ${models.length} model(s) on ${tweets.length} reference tweets`);
+  const results = [];
+  for (const model of models) {
+    try {
+      const result = await benchmarkModel(client, model, tweets, settings);
+      results.push(result);
+      console.log(`   ${model}: cold start ${formatColdStart(result.coldStart)}, ${result.tokensPerSecond !== null ? `${result.tokensPerSecond.toFixed(1)} tok/s, ` : ''}p50 ${formatMs(result.single.latency.p50)}, p95 ${formatMs(result.single.latency.p95)}, JSON ${formatPercent(result.single.compliance)}, agreement ${formatPercent(result.agreement.accuracy)}`);
+    } catch (error) {
+      process.stderr.write('\n');
+      results.push({ model, error: error.message });
+      console.log(`   ${model}: failed (${error.message})`);
+    }
+  }
+
+  const report = {
+    createdAt: new Date().toISOString(),
+    machine: machineInfo(),
+    provider: client.provider.name,
+    reference,
+    tweets: tweets.length,
+    threshold: settings.threshold,
+    batchSize: settings.batchSize,
+    latencyBudget: settings.latencyBudget,
+    skipped,
+    results,
+    recommendation: recommendModel(results, settings.latencyBudget)
+  };
+
+  const out = options.out || DEFAULT_OUT;
+  fs.writeFileSync(out, out.endsWith('.json') ? JSON.stringify(report, null, 2) : markdownReport(report));
+
+  console.log('');
+  if (report.recommendation.model) {
+    console.log(`✅ Recommended: ${report.recommendation.model} (${report.recommendation.reason})`);
+  } else {
+    console.log(`⚠️  ${report.recommendation.reason}`);
+  }
+  console.log(`📄 Report written to ${out}`);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
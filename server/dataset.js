@@ -0,0 +1,38 @@
+import fs from 'fs';
+
+// Labeled tweets for eval.js and benchmark.js: JSONL, one
+// { text, label: 'signal' | 'noise', id?, language?, context? } per line.
+// Tweets without an id are named after their line.
+
+export const LABELS = ['signal', 'noise'];
+
+export function loadDataset(file) {
+  const examples = [];
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    let example;
+    try {
+      example = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}:${index + 1}: invalid JSON (${error.message})`);
+    }
+    const label = String(example.label || '').toLowerCase();
+    if (typeof example.text !== 'string' || !example.text.trim()) {
+      throw new Error(`${file}:${index + 1}: "text" is required`);
+    }
+    if (!LABELS.includes(label)) {
+      throw new Error(`${file}:${index + 1}: "label" must be "signal" or "noise"`);
+    }
+    examples.push({ ...example, id: String(example.id ?? `line-${index + 1}`), label });
+  });
+
+  const ids = new Set();
+  for (const example of examples) {
+    if (ids.has(example.id)) {
+      throw new Error(`${file}: duplicate id "${example.id}"`);
+    }
+    ids.add(example.id);
+  }
+  return examples;
+}
@@ -0,0 +1,241 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import { DEFAULT_THRESHOLD } from './ollama-client.js';
+import '../utils/score-category.js';
+
+const { ScoreCategory } = globalThis;
+
+const DEFAULT_EXAMPLES_FILE = fileURLToPath(new URL('./data/examples.json', import.meta.url));
+const LABELS = ['signal', 'noise'];
+export const EMBEDDING_METHODS = ['knn', 'centroid'];
+
+// Softmax temperature for the centroid method. Cosine similarities between
+// sentence embeddings sit in a narrow band, so small gaps need amplifying.
+const CENTROID_TEMPERATURE = 0.05;
+
+function notEnoughExamplesError(counts) {
+  const error = new Error(`Embedding scorer needs at least one signal and one noise example (have ${counts.signal} signal, ${counts.noise} noise)`);
+  error.code = 'NOT_ENOUGH_EXAMPLES';
+  error.counts = counts;
+  return error;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function centroid(vectors) {
+  const sum = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    vector.forEach((value, i) => { sum[i] += value; });
+  }
+  return sum.map(value => value / vectors.length);
+}
+
+// Scores tweets by similarity to a library of user-labeled examples instead
+// of generating text. Examples are added on the options page or come from
+// thumbs up/down feedback (source 'feedback'). They live in a JSON file (EXAMPLES_FILE) together
+// with their embeddings; examples embedded with a different model are
+// re-embedded on the next classification.
+class EmbeddingClassifier {
+  constructor(provider, filePath = process.env.EXAMPLES_FILE || DEFAULT_EXAMPLES_FILE) {
+    this.provider = provider;
+    this.filePath = filePath;
+    this.model = process.env.EMBEDDING_MODEL || provider.defaultEmbeddingModel;
+    this.k = parseInt(process.env.EMBEDDING_K || '5');
+    this.examples = [];
+    this.centroids = null; // { model, signal, noise }, rebuilt when examples change
+
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      this.examples = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).examples || [];
+      logger.info(`Example library loaded: ${this.examples.length} examples`);
+    } catch (error) {
+      logger.logError('Loading example library', error);
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ examples: this.examples }));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('Saving example library', error);
+    }
+  }
+
+  // Examples without their embeddings, for listing
+  list() {
+    return this.examples.map(({ embedding, ...example }) => example);
+  }
+
+  getStats() {
+    const counts = { signal: 0, noise: 0 };
+    for (const example of this.examples) {
+      counts[example.label]++;
+    }
+    return { model: this.model, k: this.k, examples: this.examples.length, ...counts };
+  }
+
+  // Adds a labeled example, or relabels it if the same text is already there
+  async addExample(text, label, source = 'manual') {
+    if (!LABELS.includes(label)) {
+      const error = new Error(`Label must be one of: ${LABELS.join(', ')}`);
+      error.code = 'INVALID_LABEL';
+      throw error;
+    }
+
+    const cleaned = String(text || '').trim();
+    if (!cleaned) {
+      const error = new Error('Example text is required');
+      error.code = 'INVALID_LABEL';
+      throw error;
+    }
+
+    const id = EmbeddingClassifier.exampleId(cleaned);
+    const existing = this.examples.find(example => example.id === id);
+    if (existing) {
+      existing.label = label;
+      existing.updatedAt = Date.now();
+    } else {
+      this.examples.push({
+        id,
+        text: cleaned,
+        label,
+        source,
+        createdAt: Date.now(),
+        embedding: await this.provider.embed(cleaned, this.model),
+        embeddingModel: this.model
+      });
+    }
+
+    this.centroids = null;
+    this.save();
+    return { id, label, updated: Boolean(existing) };
+  }
+
+  static exampleId(text) {
+    return crypto.createHash('sha1').update(String(text).trim().toLowerCase()).digest('hex').substring(0, 12);
+  }
+
+  // Drops the example a thumbs up/down added, leaving manual ones alone
+  removeFeedbackExample(text) {
+    const id = EmbeddingClassifier.exampleId(text);
+    const example = this.examples.find(entry => entry.id === id);
+    return example?.source === 'feedback' ? this.removeExample(id) : false;
+  }
+
+  removeExample(id) {
+    const before = this.examples.length;
+    this.examples = this.examples.filter(example => example.id !== id);
+    if (this.examples.length === before) return false;
+
+    this.centroids = null;
+    this.save();
+    return true;
+  }
+
+  // Re-embeds examples stored with another embedding model
+  async ensureEmbeddings() {
+    const outdated = this.examples.filter(example => example.embeddingModel !== this.model);
+    for (const example of outdated) {
+      example.embedding = await this.provider.embed(example.text, this.model);
+      example.embeddingModel = this.model;
+    }
+    if (outdated.length > 0) {
+      logger.info(`Re-embedded ${outdated.length} examples with ${this.model}`);
+      this.centroids = null;
+      this.save();
+    }
+  }
+
+  // method 'knn': similarity-weighted vote of the k nearest examples
+  // method 'centroid': softmax over similarity to each label's mean embedding
+  // Returns the usual analysis fields plus the nearest examples as `neighbors`.
+  async classify(text, userPreferences = {}, method = 'knn') {
+    if (!EMBEDDING_METHODS.includes(method)) {
+      const error = new Error(`Unknown embedding method "${method}"`);
+      error.code = 'INVALID_METHOD';
+      throw error;
+    }
+
+    const { signal, noise } = this.getStats();
+    if (signal === 0 || noise === 0) {
+      throw notEnoughExamplesError({ signal, noise });
+    }
+
+    await this.ensureEmbeddings();
+    const embedding = await this.provider.embed(text.substring(0, 2000), this.model);
+
+    const ranked = this.examples
+      .map(example => ({ example, similarity: cosineSimilarity(embedding, example.embedding) }))
+      .sort((a, b) => b.similarity - a.similarity);
+    const nearest = ranked.slice(0, this.k);
+
+    let signalProbability;
+    if (method === 'centroid') {
+      const centroids = this.getCentroids();
+      const signal = Math.exp(cosineSimilarity(embedding, centroids.signal) / CENTROID_TEMPERATURE);
+      const noise = Math.exp(cosineSimilarity(embedding, centroids.noise) / CENTROID_TEMPERATURE);
+      signalProbability = signal / (signal + noise);
+    } else {
+      // Negative similarities carry no evidence for either label
+      const weights = nearest.map(n => Math.max(n.similarity, 0));
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      signalProbability = total > 0
+        ? nearest.reduce((sum, n, i) => sum + (n.example.label === 'signal' ? weights[i] : 0), 0) / total
+        : 0.5;
+    }
+
+    const score = Math.round(signalProbability * 100);
+    const threshold = userPreferences.threshold || DEFAULT_THRESHOLD;
+    const neighbors = nearest.slice(0, 3).map(n => ({
+      text: n.example.text.substring(0, 140),
+      label: n.example.label,
+      similarity: Math.round(n.similarity * 100) / 100
+    }));
+
+    return {
+      score,
+      isSignal: score >= threshold,
+      category: ScoreCategory.categorize(score, threshold),
+      reason: `Closest examples: ${neighbors.map(n => `"${n.text.substring(0, 60)}" (${n.label}, ${n.similarity})`).join('; ')}`,
+      confidence: Math.round(Math.abs(signalProbability - 0.5) * 200) / 100,
+      neighbors,
+      scorer: 'embedding',
+      method,
+      model: this.model
+    };
+  }
+
+  getCentroids() {
+    if (!this.centroids) {
+      this.centroids = {};
+      for (const label of LABELS) {
+        this.centroids[label] = centroid(
+          this.examples.filter(example => example.label === label).map(example => example.embedding)
+        );
+      }
+    }
+    return this.centroids;
+  }
+}
+
+export default EmbeddingClassifier;
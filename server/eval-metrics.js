@@ -0,0 +1,139 @@
+// Metrics for the evaluation CLI (eval.js). Signal is the positive class.
+// A prediction is { id, label, score, isSignal, latency } or, when the model
+// failed, { id, label, error }.
+
+export const CALIBRATION_BINS = 10;
+export const LATENCY_PERCENTILES = [50, 90, 95, 99];
+
+export function confusionMatrix(predictions) {
+  const matrix = { tp: 0, fp: 0, tn: 0, fn: 0 };
+  for (const prediction of predictions) {
+    if (prediction.error) continue;
+    const actual = prediction.label === 'signal';
+    if (prediction.isSignal) {
+      matrix[actual ? 'tp' : 'fp']++;
+    } else {
+      matrix[actual ? 'fn' : 'tn']++;
+    }
+  }
+  return matrix;
+}
+
+// Zero instead of NaN when a class never occurs, so reports stay readable
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+export function classificationMetrics({ tp, fp, tn, fn }) {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  return {
+    precision,
+    recall,
+    f1: ratio(2 * precision * recall, precision + recall),
+    accuracy: ratio(tp + tn, tp + fp + tn + fn),
+    // The same for noise, which is what auto-hide acts on
+    noisePrecision: ratio(tn, tn + fn),
+    noiseRecall: ratio(tn, tn + fp)
+  };
+}
+
+// Reads score/100 as the chance a tweet is signal and checks it against how
+// often tweets in each score band really are. ece is the count-weighted gap
+// between the two (expected calibration error); brier is the mean squared
+// error of the probabilities.
+export function calibration(predictions, bins = CALIBRATION_BINS) {
+  const scored = predictions.filter(prediction => !prediction.error && Number.isFinite(prediction.score));
+  const buckets = Array.from({ length: bins }, (_, index) => ({
+    from: Math.round(index * 100 / bins),
+    to: Math.round((index + 1) * 100 / bins),
+    count: 0,
+    meanScore: 0,
+    signalRate: 0
+  }));
+
+  let brier = 0;
+  for (const prediction of scored) {
+    const probability = Math.max(0, Math.min(100, prediction.score)) / 100;
+    const actual = prediction.label === 'signal' ? 1 : 0;
+    const bucket = buckets[Math.min(bins - 1, Math.floor(probability * bins))];
+    bucket.count++;
+    bucket.meanScore += prediction.score;
+    bucket.signalRate += actual;
+    brier += (probability - actual) ** 2;
+  }
+
+  let ece = 0;
+  for (const bucket of buckets) {
+    if (bucket.count === 0) continue;
+    bucket.meanScore /= bucket.count;
+    bucket.signalRate /= bucket.count;
+    ece += (bucket.count / scored.length) * Math.abs(bucket.meanScore / 100 - bucket.signalRate);
+  }
+
+  return {
+    buckets,
+    ece,
+    brier: ratio(brier, scored.length)
+  };
+}
+
+// Nearest-rank percentiles: { p50, p90, ... }
+export function percentiles(values, ranks = LATENCY_PERCENTILES) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const result = {};
+  for (const rank of ranks) {
+    result[`p${rank}`] = sorted.length > 0
+      ? sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(rank / 100 * sorted.length) - 1))]
+      : null;
+  }
+  return result;
+}
+
+export function summarize(predictions) {
+  const matrix = confusionMatrix(predictions);
+  const latencies = predictions.filter(prediction => !prediction.error).map(prediction => prediction.latency);
+  return {
+    total: predictions.length,
+    errors: predictions.filter(prediction => prediction.error).length,
+    confusion: matrix,
+    ...classificationMetrics(matrix),
+    calibration: calibration(predictions),
+    latency: {
+      ...percentiles(latencies),
+      mean: latencies.length > 0 ? latencies.reduce((sum, value) => sum + value, 0) / latencies.length : null
+    }
+  };
+}
+
+// What changed between two runs over the same dataset. Tweets are matched by
+// id; `fixed` are now right and were wrong, `broken` the other way round.
+export function compareRuns(before, after) {
+  const metrics = ['precision', 'recall', 'f1', 'accuracy', 'noisePrecision', 'noiseRecall'];
+  const deltas = {};
+  for (const metric of metrics) {
+    deltas[metric] = after.metrics[metric] - before.metrics[metric];
+  }
+  deltas.ece = after.metrics.calibration.ece - before.metrics.calibration.ece;
+  deltas.brier = after.metrics.calibration.brier - before.metrics.calibration.brier;
+  deltas.p50 = after.metrics.latency.p50 - before.metrics.latency.p50;
+  deltas.p95 = after.metrics.latency.p95 - before.metrics.latency.p95;
+
+  const correct = prediction => !prediction.error && prediction.isSignal === (prediction.label === 'signal');
+  const beforeById = new Map(before.predictions.map(prediction => [prediction.id, prediction]));
+  const fixed = [];
+  const broken = [];
+  let compared = 0;
+  for (const prediction of after.predictions) {
+    const previous = beforeById.get(prediction.id);
+    if (!previous) continue;
+    compared++;
+    if (correct(prediction) && !correct(previous)) {
+      fixed.push({ id: prediction.id, text: prediction.text, label: prediction.label, before: previous.score ?? null, after: prediction.score });
+    } else if (!correct(prediction) && correct(previous)) {
+      broken.push({ id: prediction.id, text: prediction.text, label: prediction.label, before: previous.score, after: prediction.score ?? null });
+    }
+  }
+
+  return { deltas, compared, fixed, broken };
+}
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Evaluation harness for prompts and models.
+ *
+ * Runs a labeled dataset through OllamaClient for every model × template
+ * combination and reports precision, recall, F1, the confusion matrix,
+ * calibration and latency percentiles. Save runs with --out and compare
+ * them with `diff` to see whether a prompt change helped.
+ *
+ *   node eval.js run <dataset.jsonl> [--model a,b] [--template default,strict]
+ *                    [--threshold 30] [--preferences prefs.json] [--limit N] [--out results.json]
+ *   node eval.js diff <before.json> [after.json]
+ *
+ * Dataset: one JSON object per line,
+ *   { "text": "...", "label": "signal" | "noise", "id"?, "language"?, "context"? }
+ *
+ * Few-shot examples from the feedback store are left out so results only
+ * depend on the dataset, model and template.
+ */
+
+import fs from 'fs';
+import dotenv from 'dotenv';
+import OllamaClient from './ollama-client.js';
+import { createProvider } from './providers/index.js';
+import { summarize, compareRuns } from './eval-metrics.js';
+import { loadDataset } from './dataset.js';
+
+dotenv.config();
+
+const DEFAULT_THRESHOLD = 30;
+
+function usage() {
+  console.log(`Usage:
+  node eval.js run <dataset.jsonl> [--model a,b] [--template default,strict]
+                   [--threshold ${DEFAULT_THRESHOLD}] [--preferences prefs.json] [--limit N] [--out results.json]
+  node eval.js diff <before.json> [after.json]`);
+}
+
+// --name value pairs and positional arguments
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const [name, inline] = argv[i].slice(2).split('=', 2);
+      options[name] = inline ?? argv[++i];
+      if (options[name] === undefined) {
+        throw new Error(`--${name} needs a value`);
+      }
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { options, positional };
+}
+
+function list(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+async function evaluate(client, examples, { model, template, preferences }) {
+  const predictions = [];
+  for (const [index, example] of examples.entries()) {
+    process.stderr.write(`\r  ${model} / ${template}: ${index + 1}/${examples.length}`);
+    const startTime = Date.now();
+    try {
+      const result = await client.analyzeContent(example.text, { ...preferences, model, template }, {
+        context: client.normalizeContext(example.context),
+        language: example.language
+      });
+      predictions.push({
+        id: example.id,
+        text: example.text,
+        label: example.label,
+        score: result.score,
+        isSignal: result.isSignal,
+        confidence: result.confidence,
+        reason: result.reason,
+        latency: Date.now() - startTime
+      });
+    } catch (error) {
+      predictions.push({ id: example.id, text: example.text, label: example.label, error: error.code || error.message });
+    }
+  }
+  process.stderr.write('\n');
+  return predictions;
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+const signed = (value, format) => `${value >= 0 ? '+' : '-'}${format(Math.abs(value))}`;
+const ms = value => value === null || Number.isNaN(value) ? 'n/a' : `${Math.round(value)}ms`;
+
+function printRun(run) {
+  const m = run.metrics;
+  const { tp, fp, tn, fn } = m.confusion;
+  console.log(`\n📊 ${run.name} (template v${run.templateVersion})`);
+  console.log(`   Scored ${m.total - m.errors}/${m.total}${m.errors > 0 ? ` (${m.errors} errors left out)` : ''}`);
+  console.log(`   Precision ${percent(m.precision)}  Recall ${percent(m.recall)}  F1 ${percent(m.f1)}  Accuracy ${percent(m.accuracy)}`);
+  console.log(`   Noise precision ${percent(m.noisePrecision)}  Noise recall ${percent(m.noiseRecall)}`);
+  console.log('   Confusion matrix      predicted signal  predicted noise');
+  console.log(`     actual signal       ${String(tp).padStart(16)}  ${String(fn).padStart(15)}`);
+  console.log(`     actual noise        ${String(fp).padStart(16)}  ${String(tn).padStart(15)}`);
+  console.log(`   Calibration: ECE ${m.calibration.ece.toFixed(3)}  Brier ${m.calibration.brier.toFixed(3)}`);
+  m.calibration.buckets.filter(bucket => bucket.count > 0).forEach(bucket => {
+    console.log(`     ${String(bucket.from).padStart(3)}-${String(bucket.to).padEnd(3)} n=${String(bucket.count).padEnd(4)} mean score ${bucket.meanScore.toFixed(0).padStart(3)}  signal rate ${percent(bucket.signalRate)}`);
+  });
+  console.log(`   Latency: p50 ${ms(m.latency.p50)}  p90 ${ms(m.latency.p90)}  p95 ${ms(m.latency.p95)}  p99 ${ms(m.latency.p99)}`);
+}
+
+async function run(positional, options) {
+  const [datasetFile] = positional;
+  if (!datasetFile) {
+    usage();
+    process.exit(1);
+  }
+
+  let examples = loadDataset(datasetFile);
+  if (options.limit) {
+    examples = examples.slice(0, parseInt(options.limit));
+  }
+  const threshold = options.threshold ? parseInt(options.threshold) : DEFAULT_THRESHOLD;
+  const preferences = {
+    ...(options.preferences ? JSON.parse(fs.readFileSync(options.preferences, 'utf8')) : {}),
+    threshold
+  };
+
+  const client = new OllamaClient(createProvider());
+  const models = [];
+  for (const model of list(options.model).length > 0 ? list(options.model) : [null]) {
+    models.push(await client.resolveModel(model));
+  }
+  const available = client.templates.list().map(template => template.name);
+  const templates = list(options.template).length > 0 ? list(options.template) : ['default'];
+  const unknown = templates.filter(template => !available.includes(template));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown template ${unknown.join(', ')} (available: ${available.join(', ')})`);
+  }
+
+  console.log(`🧪 Evaluating ${examples.length} tweets (${examples.filter(e => e.label === 'signal').length} signal) at threshold ${threshold}`);
+  const runs = [];
+  for (const model of models) {
+    for (const template of templates) {
+      const predictions = await evaluate(client, examples, { model, template, preferences });
+      const result = {
+        name: `${model} / ${template}`,
+        model,
+        template,
+        templateVersion: client.templates.get(template).version,
+        predictions,
+        metrics: summarize(predictions)
+      };
+      runs.push(result);
+      printRun(result);
+    }
+  }
+
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify({
+      createdAt: new Date().toISOString(),
+      dataset: datasetFile,
+      threshold,
+      preferences,
+      runs
+    }, null, 2));
+    console.log(`\n💾 Saved ${runs.length} run(s) to ${options.out}`);
+  }
+}
+
+function readResults(file) {
+  const results = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(results.runs) || results.runs.length === 0) {
+    throw new Error(`${file} has no runs`);
+  }
+  return results;
+}
+
+// Pairs to compare: runs with the same name across two files (or the only
+// run in each), or every run in one file against its first run
+function pairRuns(before, after) {
+  if (!after) {
+    return before.runs.slice(1).map(run => [before.runs[0], run]);
+  }
+  if (before.runs.length === 1 && after.runs.length === 1) {
+    return [[before.runs[0], after.runs[0]]];
+  }
+  return after.runs
+    .map(run => [before.runs.find(candidate => candidate.name === run.name), run])
+    .filter(([previous]) => previous);
+}
+
+function printDiff(before, after) {
+  const { deltas, compared, fixed, broken } = compareRuns(before, after);
+  const points = value => `${(value * 100).toFixed(1)}pt`;
+  console.log(`\n🔀 ${before.name} → ${after.name} (${compared} tweets in both)`);
+  console.log(`   Precision ${signed(deltas.precision, points)}  Recall ${signed(deltas.recall, points)}  F1 ${signed(deltas.f1, points)}  Accuracy ${signed(deltas.accuracy, points)}`);
+  console.log(`   ECE ${signed(deltas.ece, value => value.toFixed(3))}  Brier ${signed(deltas.brier, value => value.toFixed(3))}`);
+  console.log(`   Latency p50 ${Number.isNaN(deltas.p50) ? 'n/a' : signed(deltas.p50, ms)}  p95 ${Number.isNaN(deltas.p95) ? 'n/a' : signed(deltas.p95, ms)}`);
+
+  const show = (title, entries) => {
+    if (entries.length === 0) return;
+    console.log(`   ${title} (${entries.length}):`);
+    entries.forEach(entry => {
+      const text = entry.text.length > 70 ? `${entry.text.slice(0, 67)}...` : entry.text;
+      console.log(`     [${entry.label}] ${entry.before ?? 'error'} → ${entry.after ?? 'error'}  ${entry.id}: ${text.replace(/\s+/g, ' ')}`);
+    });
+  };
+  show('✅ Fixed', fixed);
+  show('❌ Broken', broken);
+}
+
+function diff(positional) {
+  const [beforeFile, afterFile] = positional;
+  if (!beforeFile) {
+    usage();
+    process.exit(1);
+  }
+
+  const before = readResults(beforeFile);
+  const after = afterFile ? readResults(afterFile) : null;
+  const pairs = pairRuns(before, after);
+  if (pairs.length === 0) {
+    throw new Error(afterFile
+      ? 'No runs to compare: run names differ between the two files'
+      : `${beforeFile} has a single run; pass a second results file to compare against`);
+  }
+  pairs.forEach(([previous, current]) => printDiff(previous, current));
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { options, positional } = parseArgs(rest);
+
+  if (command === 'run') {
+    await run(positional, options);
+  } else if (command === 'diff') {
+    diff(positional);
+  } else {
+    usage();
+    process.exit(command ? 1 : 0);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  if (error.availableModels) {
+    console.error(`   Installed models: ${error.availableModels.join(', ') || 'none'}`);
+  }
+  process.exit(1);
+});
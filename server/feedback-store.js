@@ -0,0 +1,167 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const DEFAULT_FEEDBACK_FILE = fileURLToPath(new URL('./data/feedback.json', import.meta.url));
+const LABELS = ['signal', 'noise'];
+const RECENCY_HALF_LIFE = 14 * 24 * 3600000; // A label loses half its weight every two weeks
+const MIN_OVERLAP = 0.05;
+
+// Words too common to say anything about what a tweet is about
+const STOPWORDS = new Set(('a an and are as at be but by for from has have i if in is it its just my ' +
+  'of on or so that the this to was we were what when with you your').split(' '));
+
+function tokenize(text) {
+  return new Set(
+    String(text).toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .split(/[^\p{L}\p{N}#@]+/u)
+      .filter(word => word.length > 1 && !STOPWORDS.has(word))
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Thumbs up/down labels from the badges. Each entry records the tweet, the
+// score it was given and the label the user says it deserves; corrections
+// (labels that disagree with the score) are preferred as few-shot examples.
+class FeedbackStore {
+  constructor(filePath = process.env.FEEDBACK_FILE || DEFAULT_FEEDBACK_FILE, options = {}) {
+    this.filePath = filePath;
+    this.maxEntries = options.maxEntries || parseInt(process.env.FEEDBACK_MAX || '1000');
+    this.entries = [];
+    this.revision = 0; // Bumped on every change so cached scores can be told apart
+    this.tokens = new Map(); // id -> token set, built lazily
+
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.entries = data.entries || [];
+      this.revision = data.revision || 0;
+      logger.info(`Feedback loaded: ${this.entries.length} labeled tweets`);
+    } catch (error) {
+      logger.logError('Loading feedback', error);
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ revision: this.revision, entries: this.entries }));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('Saving feedback', error);
+    }
+  }
+
+  // entry: { id?, text, label, score?, model?, author? }. A tweet labeled
+  // twice keeps only its latest label.
+  add(entry) {
+    if (!LABELS.includes(entry.label)) {
+      const error = new Error(`Label must be one of: ${LABELS.join(', ')}`);
+      error.code = 'INVALID_LABEL';
+      throw error;
+    }
+
+    const text = String(entry.text || '').trim();
+    if (!text) {
+      const error = new Error('Feedback needs the tweet text');
+      error.code = 'INVALID_LABEL';
+      throw error;
+    }
+
+    const id = entry.id
+      ? String(entry.id)
+      : crypto.createHash('sha1').update(text.toLowerCase()).digest('hex').substring(0, 12);
+    const score = Number.isFinite(entry.score) ? entry.score : null;
+    const record = {
+      id,
+      text: text.substring(0, 1000),
+      label: entry.label,
+      score,
+      // Only known when the original score is: signal above the threshold
+      // labeled noise, or the other way round
+      correction: typeof entry.wasSignal === 'boolean' ? entry.wasSignal !== (entry.label === 'signal') : false,
+      model: entry.model || null,
+      author: entry.author || null,
+      timestamp: Date.now()
+    };
+
+    this.entries = this.entries.filter(existing => existing.id !== id);
+    this.entries.push(record);
+    this.tokens.delete(id);
+
+    // Oldest labels go first once the store is full
+    while (this.entries.length > this.maxEntries) {
+      this.tokens.delete(this.entries.shift().id);
+    }
+
+    this.revision++;
+    this.save();
+    return record;
+  }
+
+  remove(id) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    if (this.entries.length === before) return false;
+
+    this.tokens.delete(id);
+    this.revision++;
+    this.save();
+    return true;
+  }
+
+  list() {
+    return [...this.entries].reverse();
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.length,
+      corrections: this.entries.filter(entry => entry.correction).length,
+      signal: this.entries.filter(entry => entry.label === 'signal').length,
+      noise: this.entries.filter(entry => entry.label === 'noise').length,
+      revision: this.revision
+    };
+  }
+
+  // The labeled tweets most similar to `text` (word overlap), favouring
+  // recent labels and corrections over confirmations
+  selectExamples(text, limit = 3) {
+    if (limit <= 0 || this.entries.length === 0) return [];
+
+    const query = tokenize(text);
+    const now = Date.now();
+
+    return this.entries
+      .map(entry => {
+        if (!this.tokens.has(entry.id)) {
+          this.tokens.set(entry.id, tokenize(entry.text));
+        }
+        const overlap = jaccard(query, this.tokens.get(entry.id));
+        const recency = Math.pow(0.5, (now - entry.timestamp) / RECENCY_HALF_LIFE);
+        return { entry, overlap, relevance: overlap * recency * (entry.correction ? 1 : 0.5) };
+      })
+      .filter(({ overlap }) => overlap >= MIN_OVERLAP)
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, limit)
+      .map(({ entry }) => entry);
+  }
+}
+
+export default FeedbackStore;
@@ -0,0 +1,80 @@
+import fetch from 'node-fetch';
+
+// Downloads tweet images for the vision model. Only X's image CDN is allowed
+// by default, so the endpoint can't be used to make the server fetch
+// arbitrary (e.g. internal) URLs. Images can also be sent inline as base64.
+const ALLOWED_HOSTS = (process.env.IMAGE_HOSTS || 'pbs.twimg.com').split(',').map(host => host.trim()).filter(Boolean);
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES || String(5 * 1024 * 1024));
+const FETCH_TIMEOUT = 10000;
+export const MAX_IMAGES = 4;
+
+function imageError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// images: [{ url, alt } | { data, mimeType, alt }]. Returns the images that
+// could be loaded as [{ data (base64), mimeType, alt, bytes, url }] and the
+// reasons the others couldn't.
+export async function loadImages(images) {
+  if (!Array.isArray(images) || images.length === 0) {
+    throw imageError('At least one image is required', 'INVALID_IMAGES');
+  }
+
+  const settled = await Promise.allSettled(images.slice(0, MAX_IMAGES).map(loadImage));
+  const loaded = [];
+  const failed = [];
+  settled.forEach((outcome, index) => {
+    if (outcome.status === 'fulfilled') {
+      loaded.push(outcome.value);
+    } else {
+      failed.push({ index, error: outcome.reason.message });
+    }
+  });
+
+  if (loaded.length === 0) {
+    const error = imageError(`No image could be loaded: ${failed.map(f => f.error).join('; ')}`, 'IMAGE_FETCH_FAILED');
+    error.failed = failed;
+    throw error;
+  }
+  return { loaded, failed };
+}
+
+async function loadImage(image) {
+  const alt = typeof image?.alt === 'string' ? image.alt.substring(0, 500) : '';
+
+  if (typeof image?.data === 'string') {
+    const data = image.data.replace(/^data:[^;]+;base64,/, '');
+    const bytes = Buffer.byteLength(data, 'base64');
+    if (bytes === 0 || bytes > MAX_IMAGE_BYTES) {
+      throw new Error(`Inline image must be between 1 byte and ${MAX_IMAGE_BYTES} bytes`);
+    }
+    return { data, mimeType: image.mimeType || 'image/jpeg', alt, bytes, url: null };
+  }
+
+  let url;
+  try {
+    url = new URL(image?.url);
+  } catch (error) {
+    throw new Error('Image needs a url or inline data');
+  }
+  if (url.protocol !== 'https:' || !ALLOWED_HOSTS.includes(url.hostname)) {
+    throw new Error(`Images from ${url.hostname} are not allowed`);
+  }
+
+  const response = await fetch(url.href, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`Image request failed: ${response.status}`);
+  }
+  const mimeType = (response.headers.get('content-type') || '').split(';')[0];
+  if (!mimeType.startsWith('image/')) {
+    throw new Error(`Not an image: ${mimeType || 'unknown type'}`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new Error(`Image is larger than ${MAX_IMAGE_BYTES} bytes`);
+  }
+  return { data: buffer.toString('base64'), mimeType, alt, bytes: buffer.length, url: url.href };
+}
@@ -3,7 +3,12 @@ import cors from 'cors';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import dotenv from 'dotenv';
-import OllamaClient from './ollama-client.js';
+import OllamaClient, { DEFAULT_THRESHOLD } from './ollama-client.js';
+import { createProvider } from './providers/index.js';
+import ScoreCache from './score-cache.js';
+import EmbeddingClassifier from './embedding-classifier.js';
+import FeedbackStore from './feedback-store.js';
+import { loadImages, MAX_IMAGES } from './image-fetcher.js';
 import logger from './logger.js';
 
 // Load environment variables
@@ -42,7 +47,165 @@ const io = new Server(httpServer, {
 });
 
 const PORT = process.env.PORT || 3001;
-const ollamaClient = new OllamaClient(process.env.OLLAMA_HOST);
+const feedbackStore = new FeedbackStore();
+const ollamaClient = new OllamaClient(createProvider(), false, { feedbackStore });
+const scoreCache = new ScoreCache();
+const embeddingClassifier = new EmbeddingClassifier(ollamaClient.provider);
+
+// Everything besides the tweet itself that affects its score
+function getCacheContext(userPreferences) {
+  const variant = [];
+  if (userPreferences.cascade) {
+    variant.push(`cascade:${JSON.stringify(userPreferences.cascade)}`);
+  }
+  if (userPreferences.languagePrompts === 'native') {
+    variant.push('language:native');
+  }
+  if (userPreferences.profile) {
+    variant.push(`profile:${userPreferences.profile}`);
+  }
+  // New labels can change the few-shot examples in the prompt
+  if (userPreferences.fewShot !== false && feedbackStore.entries.length > 0) {
+    variant.push(`feedback:${feedbackStore.revision}`);
+  }
+
+  return {
+    model: userPreferences.model,
+    templateVersion: ollamaClient.templates.get(userPreferences.template).version,
+    userPreferences,
+    variant: variant.join('|')
+  };
+}
+
+// Unparseable model output is a bad upstream reply (502), anything else is
+// ours (500). Neither carries a score, so failures never count as noise.
+function sendAnalysisError(res, message, error) {
+  const invalidOutput = error.code === 'INVALID_MODEL_OUTPUT';
+  res.status(invalidOutput ? 502 : 500).json({
+    error: message,
+    code: error.code,
+    detail: error.message
+  });
+}
+
+// The same tweet scores differently once its quoted or parent tweet is known
+function withTweetContext(cacheContext, tweetContext) {
+  if (!tweetContext) return cacheContext;
+  return {
+    ...cacheContext,
+    variant: [cacheContext.variant, `context:${ScoreCache.hash(JSON.stringify(tweetContext))}`].filter(Boolean).join('|')
+  };
+}
+
+async function analyzeWithCache(tweet, userPreferences) {
+  const key = ScoreCache.buildKey(tweet, withTweetContext(getCacheContext(userPreferences), tweet.context));
+  const cached = scoreCache.get(key);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  const result = await ollamaClient.analyzeContent(tweet.text, userPreferences, { context: tweet.context, language: tweet.language, thread: tweet.thread });
+
+  // A model that isn't sure at all is worth asking again next time, and so
+  // is a cascade whose strong model failed
+  if (result.confidence > 0 && !result.cascade?.escalationFailed) {
+    scoreCache.set(key, result);
+  }
+  return result;
+}
+
+async function analyzeMultiAgentWithCache(tweetData, userPreferences, pipeline) {
+  const tweet = { id: tweetData.statusId, text: tweetData.text };
+  const context = withTweetContext(getCacheContext(userPreferences), ollamaClient.normalizeContext(tweetData.context));
+  const key = ScoreCache.buildKey(tweet, {
+    ...context,
+    variant: [context.variant, `multi-agent:${tweetData.author?.handle || ''}:${JSON.stringify(pipeline)}`].filter(Boolean).join('|')
+  });
+  const cached = scoreCache.get(key);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  const result = await ollamaClient.analyzeWithMultipleAgents(tweetData, userPreferences, pipeline);
+  if (result.confidence > 0) {
+    scoreCache.set(key, result);
+  }
+  return result;
+}
+
+async function analyzeEnsembleWithCache(tweet, userPreferences, ensemble) {
+  const context = withTweetContext(getCacheContext(userPreferences), tweet.context);
+  const key = ScoreCache.buildKey(tweet, {
+    ...context,
+    variant: [context.variant, `ensemble:${JSON.stringify(ensemble)}`].filter(Boolean).join('|')
+  });
+  const cached = scoreCache.get(key);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  const result = await ollamaClient.analyzeEnsemble(tweet.text, userPreferences, ensemble, { context: tweet.context, language: tweet.language, thread: tweet.thread });
+
+  // A model that failed this time may well answer next time
+  const complete = Object.values(result.modelScores).every(entry => !entry.error);
+  if (complete && result.confidence > 0) {
+    scoreCache.set(key, result);
+  }
+  return result;
+}
+
+async function analyzeImagesWithCache(tweet, images, userPreferences) {
+  const context = getCacheContext(userPreferences);
+  const imageIds = images.slice(0, MAX_IMAGES).map(image => image.url || ScoreCache.hash(String(image.data)));
+  const key = ScoreCache.buildKey(tweet, {
+    ...context,
+    model: userPreferences.visionModel,
+    variant: [context.variant, `vision:${JSON.stringify(imageIds)}`].filter(Boolean).join('|')
+  });
+  const cached = scoreCache.get(key);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  const { loaded, failed } = await loadImages(images);
+  const result = await ollamaClient.analyzeImages(tweet.text, loaded, userPreferences);
+  if (failed.length > 0) {
+    result.imagesFailed = failed;
+  } else if (result.confidence > 0) {
+    scoreCache.set(key, result);
+  }
+  return result;
+}
+
+async function analyzeBatchWithCache(batch, userPreferences) {
+  const tweets = batch.map(tweet => ({
+    ...tweet,
+    context: ollamaClient.normalizeContext(tweet.context),
+    thread: ollamaClient.normalizeThread(tweet.thread)
+  }));
+  const context = getCacheContext(userPreferences);
+  const keys = tweets.map(tweet => ScoreCache.buildKey(tweet, withTweetContext(context, tweet.context)));
+  const results = keys.map(key => {
+    const cached = scoreCache.get(key);
+    return cached ? { ...cached, cached: true } : null;
+  });
+
+  const misses = tweets
+    .map((tweet, index) => ({ tweet, index }))
+    .filter(({ index }) => !results[index]);
+
+  if (misses.length > 0) {
+    const fresh = await ollamaClient.analyzeTweetBatch(misses.map(m => m.tweet), userPreferences);
+    misses.forEach(({ index }, i) => {
+      results[index] = fresh[i];
+      if (!fresh[i].error && fresh[i].confidence > 0) {
+        scoreCache.set(keys[index], fresh[i]);
+      }
+    });
+  }
+
+  return results;
+}
 
 // Middleware
 app.use(cors({
@@ -80,8 +243,11 @@ app.get('/health', async (req, res) => {
   const ollamaHealthy = await ollamaClient.checkHealth();
   const models = await ollamaClient.listModels();
   
+  // The `ollama` key is kept for existing clients; it describes whichever
+  // provider is configured
   res.json({
     status: 'ok',
+    provider: ollamaClient.provider.name,
     ollama: {
       connected: ollamaHealthy,
       models: models.map(m => ({
@@ -89,24 +255,109 @@ app.get('/health', async (req, res) => {
         size: m.size,
         modified: m.modified_at
       }))
-    }
+    },
+    // Lets clients tell whether their own cached scores are still current
+    analysis: {
+      model: await ollamaClient.resolveModel(),
+      visionModel: ollamaClient.visionModel,
+      templates: Object.fromEntries(ollamaClient.templates.list().map(t => [t.name, t.version]))
+    },
+    cache: scoreCache.getStats(),
+    cascade: ollamaClient.getCascadeStats(),
+    embedding: embeddingClassifier.getStats(),
+    feedback: feedbackStore.getStats()
   });
 });
 
-// Simplified content-only analysis endpoint
+// Thumbs up/down labels from the badges, used as few-shot examples and as
+// examples for the embedding scorer
+app.get('/feedback', (req, res) => {
+  res.json({ feedback: feedbackStore.list(), stats: feedbackStore.getStats() });
+});
+
+app.post('/feedback', async (req, res) => {
+  try {
+    const entry = feedbackStore.add(req.body);
+    logger.info(`Feedback: ${entry.label}${entry.correction ? ' (correction)' : ''} for "${entry.text.substring(0, 60)}"`);
+    // The label is kept even when the embedding model isn't available
+    try {
+      await embeddingClassifier.addExample(entry.text, entry.label, 'feedback');
+    } catch (error) {
+      logger.logError('Adding feedback example', error);
+    }
+    res.json({ ...entry, stats: feedbackStore.getStats() });
+  } catch (error) {
+    if (error.code === 'INVALID_LABEL') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    logger.logError('Saving feedback', error);
+    res.status(500).json({ error: 'Failed to save feedback', detail: error.message });
+  }
+});
+
+app.delete('/feedback/:id', (req, res) => {
+  const entry = feedbackStore.entries.find(existing => existing.id === req.params.id);
+  if (!feedbackStore.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Feedback not found' });
+  }
+  embeddingClassifier.removeFeedbackExample(entry.text);
+  res.json({ removed: req.params.id, stats: feedbackStore.getStats() });
+});
+
+// Labeled example library used by the embedding scorer
+app.get('/examples', (req, res) => {
+  res.json({ examples: embeddingClassifier.list(), stats: embeddingClassifier.getStats() });
+});
+
+app.post('/examples', async (req, res) => {
+  const { text, label, source } = req.body;
+
+  try {
+    const example = await embeddingClassifier.addExample(text, label, source);
+    res.json({ ...example, stats: embeddingClassifier.getStats() });
+  } catch (error) {
+    if (error.code === 'INVALID_LABEL') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    logger.logError('Adding example', error);
+    res.status(500).json({ error: 'Failed to add example', detail: error.message });
+  }
+});
+
+app.delete('/examples/:id', (req, res) => {
+  if (!embeddingClassifier.removeExample(req.params.id)) {
+    return res.status(404).json({ error: 'Example not found' });
+  }
+  res.json({ removed: req.params.id, stats: embeddingClassifier.getStats() });
+});
+
+// Prompt templates available on disk, for the options page picker
+app.get('/templates', (req, res) => {
+  res.json({ templates: ollamaClient.templates.list() });
+});
+
+// Multi-agent analysis: account, content and media agents combined by the
+// requested pipeline (see DEFAULT_PIPELINE in ollama-client.js)
 app.post('/analyze-multi-agent', async (req, res) => {
-  const { tweetData, userPreferences = {} } = req.body;
+  const { tweetData, userPreferences = {}, pipeline } = req.body;
   
   if (!tweetData || !tweetData.text) {
     return res.status(400).json({ error: 'Tweet data with text is required' });
   }
 
-  // Just analyze the content, ignore author and media
   const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+  let config;
+  
+  try {
+    userPreferences.model = await ollamaClient.resolveModel(userPreferences.model);
+    config = await ollamaClient.resolvePipeline(pipeline);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code, availableModels: error.availableModels });
+  }
   
   try {
     const startTime = Date.now();
-    const result = await ollamaClient.analyzeContent(tweetData.text, userPreferences);
+    const result = await analyzeMultiAgentWithCache(tweetData, userPreferences, config);
     const latency = Date.now() - startTime;
 
     logger.logTweetAnalysis({
@@ -116,7 +367,7 @@ app.post('/analyze-multi-agent', async (req, res) => {
       isSignal: result.isSignal,
       reason: result.reason,
       latency,
-      model: 'Content Analysis'
+      model: `Multi-agent (${config.aggregation})`
     });
 
     res.json({
@@ -125,19 +376,60 @@ app.post('/analyze-multi-agent', async (req, res) => {
       requestId
     });
   } catch (error) {
-    logger.logError('Content analysis', error, requestId);
-    res.status(500).json({
-      error: 'Content analysis failed',
-      score: 50,
-      isSignal: false,
-      confidence: 'error'
+    logger.logError('Multi-agent analysis', error, requestId);
+    sendAnalysisError(res, 'Multi-agent analysis failed', error);
+  }
+});
+
+// Ensemble analysis: the same tweet scored by several models at once.
+// Takes the /analyze body plus ensemble: { models: [...], strategy }
+app.post('/analyze-ensemble', async (req, res) => {
+  const { text, id, interests = [], signalPatterns = [], noisePatterns = [], threshold = DEFAULT_THRESHOLD, template, model, ensemble, fewShot, context, language, languagePrompts, profile, thread } = req.body;
+
+  if (!text || text.trim().length === 0) {
+    return res.status(400).json({ error: 'No text content to analyze' });
+  }
+
+  const userPreferences = { interests, signalPatterns, noisePatterns, threshold, template, fewShot, languagePrompts, profile };
+  const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+  let config;
+
+  try {
+    userPreferences.model = await ollamaClient.resolveModel(model);
+    config = await ollamaClient.resolveEnsemble(ensemble);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code, availableModels: error.availableModels });
+  }
+
+  try {
+    const startTime = Date.now();
+    const result = await analyzeEnsembleWithCache({ id, text, language, context: ollamaClient.normalizeContext(context), thread: ollamaClient.normalizeThread(thread) }, userPreferences, config);
+    const latency = Date.now() - startTime;
+
+    logger.logTweetAnalysis({
+      requestId,
+      tweet: text,
+      score: result.score,
+      isSignal: result.isSignal,
+      reason: result.reason,
+      latency,
+      model: `Ensemble (${config.models.join(', ')})`
+    });
+
+    res.json({
+      ...result,
+      latency,
+      requestId
     });
+  } catch (error) {
+    logger.logError('Ensemble analysis', error, requestId);
+    sendAnalysisError(res, 'Ensemble analysis failed', error);
   }
 });
 
 // Single tweet analysis endpoint (backward compatibility)
 app.post('/analyze', async (req, res) => {
-  const { text, interests = [], signalPatterns = [], noisePatterns = [], threshold = 30 } = req.body;
+  const { text, id, interests = [], signalPatterns = [], noisePatterns = [], threshold = DEFAULT_THRESHOLD, template, model, cascade, scorer = 'llm', embeddingMethod, fewShot, context, language, languagePrompts, profile, thread } = req.body;
   
   // Allow empty strings (for media-only tweets) but not undefined/null
   if (text === undefined || text === null) {
@@ -156,17 +448,49 @@ app.post('/analyze', async (req, res) => {
     interests,
     signalPatterns,
     noisePatterns,
-    threshold
+    threshold,
+    template,
+    fewShot,
+    languagePrompts,
+    profile
   };
 
   // Generate request ID for tracking
   const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
 
+  // Embedding scores depend on the example library, which changes as the
+  // user labels tweets, so they skip the score cache - they're cheap anyway
+  if (scorer === 'embedding') {
+    try {
+      const startTime = Date.now();
+      const result = await embeddingClassifier.classify(tweetText, userPreferences, embeddingMethod);
+      return res.json({ ...result, latency: Date.now() - startTime });
+    } catch (error) {
+      if (error.code === 'INVALID_METHOD') {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      if (error.code === 'NOT_ENOUGH_EXAMPLES') {
+        return res.status(409).json({ error: error.message, code: error.code, counts: error.counts });
+      }
+      logger.logError('Embedding analysis', error, requestId);
+      return sendAnalysisError(res, 'Embedding analysis failed', error);
+    }
+  }
+
+  try {
+    userPreferences.model = await ollamaClient.resolveModel(model);
+    if (cascade) {
+      userPreferences.cascade = await ollamaClient.resolveCascade(cascade);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code, availableModels: error.availableModels });
+  }
+
   try {
     const startTime = Date.now();
     
-    // Always use simple content analysis
-    const result = await ollamaClient.analyzeContent(tweetText, userPreferences);
+    // Always use simple content analysis, reusing earlier scores when possible
+    const result = await analyzeWithCache({ id, text: tweetText, language, context: ollamaClient.normalizeContext(context), thread: ollamaClient.normalizeThread(thread) }, userPreferences);
     
     const latency = Date.now() - startTime;
 
@@ -174,48 +498,87 @@ app.post('/analyze', async (req, res) => {
 
     res.json({
       ...result,
-      latency,
-      model: ollamaClient.defaultModel
+      latency
     });
   } catch (error) {
     logger.logError('Single tweet analysis', error, requestId);
-    res.status(500).json({
-      error: 'Analysis failed',
-      score: 50,
-      isSignal: false,
-      confidence: 'error'
-    });
+    sendAnalysisError(res, 'Analysis failed', error);
+  }
+});
+
+// Image-only and image-heavy tweets, scored by a multimodal model from the
+// pictures. images are [{ url, alt }] on X's image CDN, or inline
+// [{ data (base64), mimeType, alt }].
+app.post('/analyze-images', async (req, res) => {
+  const { text = '', id, images, interests = [], signalPatterns = [], noisePatterns = [], threshold = DEFAULT_THRESHOLD, template, visionModel, fewShot, profile } = req.body;
+
+  if (!Array.isArray(images) || images.length === 0) {
+    return res.status(400).json({ error: 'At least one image is required', code: 'INVALID_IMAGES' });
+  }
+
+  const userPreferences = { interests, signalPatterns, noisePatterns, threshold, template, fewShot, profile };
+  const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+  try {
+    userPreferences.visionModel = await ollamaClient.resolveVisionModel(visionModel);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code, availableModels: error.availableModels });
+  }
+
+  try {
+    const startTime = Date.now();
+    const result = await analyzeImagesWithCache({ id, text: String(text) }, images, userPreferences);
+    res.json({ ...result, latency: Date.now() - startTime });
+  } catch (error) {
+    if (error.code === 'INVALID_IMAGES') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'IMAGE_FETCH_FAILED') {
+      return res.status(502).json({ error: error.message, code: error.code, failed: error.failed });
+    }
+    logger.logError('Image analysis', error, requestId);
+    sendAnalysisError(res, 'Image analysis failed', error);
   }
 });
 
 // Batch analysis endpoint
 app.post('/analyze-batch', async (req, res) => {
-  const { tweets, interests = [] } = req.body;
+  const { tweets, interests = [], signalPatterns = [], noisePatterns = [], threshold = DEFAULT_THRESHOLD, template, model, fewShot, languagePrompts, profile } = req.body;
   
   if (!tweets || !Array.isArray(tweets)) {
     return res.status(400).json({ error: 'Tweets array is required' });
   }
 
+  const userPreferences = {
+    interests,
+    signalPatterns,
+    noisePatterns,
+    threshold,
+    template,
+    fewShot,
+    languagePrompts,
+    profile
+  };
+
+  try {
+    userPreferences.model = await ollamaClient.resolveModel(model);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code, availableModels: error.availableModels });
+  }
+
   try {
     const startTime = Date.now();
-    const results = await ollamaClient.analyzeTweetBatch(tweets, interests);
+    const results = await analyzeBatchWithCache(tweets, userPreferences);
     const latency = Date.now() - startTime;
 
     res.json({
       results,
       latency,
-      model: ollamaClient.defaultModel
+      model: userPreferences.model
     });
   } catch (error) {
     logger.logError('Batch analysis', error);
-    res.status(500).json({
-      error: 'Batch analysis failed',
-      results: tweets.map(() => ({
-        score: 50,
-        isSignal: false,
-        confidence: 'error'
-      }))
-    });
+    sendAnalysisError(res, 'Batch analysis failed', error);
   }
 });
 
@@ -224,10 +587,14 @@ io.on('connection', (socket) => {
   logger.info(`Client connected: ${socket.id}`);
 
   socket.on('analyze', async (data) => {
-    const { text, interests = [], requestId } = data;
+    const { text, id, interests = [], signalPatterns = [], noisePatterns = [], threshold = DEFAULT_THRESHOLD, template, model, fewShot, context, language, languagePrompts, profile, thread, requestId } = data;
     
     try {
-      const result = await ollamaClient.analyzeTweet(text, interests);
+      const resolvedModel = await ollamaClient.resolveModel(model);
+      const result = await analyzeWithCache(
+        { id, text, language, context: ollamaClient.normalizeContext(context), thread: ollamaClient.normalizeThread(thread) },
+        { interests, signalPatterns, noisePatterns, threshold, template, fewShot, languagePrompts, profile, model: resolvedModel }
+      );
       socket.emit('analysis-result', {
         requestId,
         ...result
@@ -241,10 +608,11 @@ io.on('connection', (socket) => {
   });
 
   socket.on('analyze-batch', async (data) => {
-    const { tweets, interests = [], requestId } = data;
+    const { tweets, interests = [], signalPatterns = [], noisePatterns = [], threshold = DEFAULT_THRESHOLD, template, model, fewShot, languagePrompts, profile, requestId } = data;
     
     try {
-      const results = await ollamaClient.analyzeTweetBatch(tweets, interests);
+      const resolvedModel = await ollamaClient.resolveModel(model);
+      const results = await analyzeBatchWithCache(tweets, { interests, signalPatterns, noisePatterns, threshold, template, fewShot, languagePrompts, profile, model: resolvedModel });
       socket.emit('batch-result', {
         requestId,
         results
@@ -266,21 +634,28 @@ io.on('connection', (socket) => {
 httpServer.listen(PORT, async () => {
   logger.info(`Signal/Noise server running on port ${PORT}`);
   
-  // Check Ollama connection
+  // Check LLM provider connection
+  const providerName = ollamaClient.provider.name === 'ollama' ? 'Ollama' : 'OpenAI-compatible';
   const ollamaHealthy = await ollamaClient.checkHealth();
   if (ollamaHealthy) {
     const models = await ollamaClient.listModels();
-    logger.logConnection('connected', `${models.length} models available`);
+    logger.logConnection('connected', `${models.length} models available`, providerName);
     logger.info(`Available models: ${models.map(m => m.name).join(', ')}`);
   } else {
-    logger.logConnection('disconnected', 'Cannot connect to Ollama');
+    logger.logConnection('disconnected', `Cannot connect to ${providerName} server`, providerName);
   }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  scoreCache.flush();
   httpServer.close(() => {
     logger.info('Server closed');
   });
+});
+
+process.on('SIGINT', () => {
+  scoreCache.flush();
+  process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,36 @@
+// Language codes and names for tweets. The detection itself is shared with
+// the extension, in utils/language-detector.js.
+import '../utils/language-detector.js';
+
+const { LanguageDetector } = globalThis;
+
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese',
+  ru: 'Russian',
+  ar: 'Arabic',
+  hi: 'Hindi'
+};
+
+export function detectLanguage(text) {
+  return LanguageDetector.detect(text);
+}
+
+// X's own lang attribute is more reliable than guessing; fall back to
+// detection when it's missing or undetermined
+export function resolveLanguage(hint, text) {
+  const code = typeof hint === 'string' ? hint.toLowerCase().split('-')[0] : '';
+  if (/^[a-z]{2}$/.test(code)) return code;
+  return detectLanguage(text);
+}
+
+export function languageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
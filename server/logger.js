@@ -91,9 +91,9 @@ class Logger {
   }
 
   // Connection status logging
-  logConnection(status, details = '') {
+  logConnection(status, details = '', provider = 'Ollama') {
     const statusText = status === 'connected' ? 'CONNECTED' : 'DISCONNECTED';
-    console.log(`[${this.timestamp()}] Ollama Status: ${statusText}${details ? ` (${details})` : ''}`);
+    console.log(`[${this.timestamp()}] ${provider} Status: ${statusText}${details ? ` (${details})` : ''}`);
   }
 
   // Simple info logging
@@ -1,66 +1,142 @@
-import fetch from 'node-fetch';
 import logger from './logger.js';
+import { createProvider, OllamaProvider, FakeVisionProvider, FAKE_VISION_MODEL } from './providers/index.js';
+import PromptTemplateStore from './prompt-templates.js';
+import { ANALYSIS_SCHEMA, BATCH_SCHEMA, validate } from './schema.js';
+import { resolveLanguage, languageName } from './language.js';
+import '../utils/score-category.js';
 
+const { ScoreCategory } = globalThis;
+
+// Used when the user hasn't filled in the matching options page textarea
+const DEFAULT_SIGNAL_PATTERNS = [
+  'AI/ML/LLM research, models, tools',
+  'Startups, YC, funding, building',
+  'Code, APIs, technical tutorials',
+  'Open source, developer tools'
+];
+const DEFAULT_NOISE_PATTERNS = [
+  'Entertainment, celebrity, lifestyle',
+  'Food, fashion, dating, sports',
+  'Personal drama, political rants'
+];
+const MAX_PREFERENCE_ITEMS = 12;
+const MAX_PREFERENCE_LENGTH = 80;
+// Quoted and parent tweets are context, not the thing being scored
+const MAX_CONTEXT_LENGTH = 280;
+const MAX_TWEET_LENGTH = 500;
+// A thread is scored as one text; each member gets an equal share of this
+const MAX_THREAD_LENGTH = 4000;
+const MAX_THREAD_MEMBERS = 25;
+// Batch tweets rated on their own with a prompt in their language
+const NATIVE_BATCH_CONCURRENCY = 3;
+// Score a tweet needs to count as signal when the client doesn't send one;
+// the extension's own default
+export const DEFAULT_THRESHOLD = 30;
+
+// Multi-agent pipeline used when the client doesn't send one. A null model
+// means the agent runs on the request's model.
+export const DEFAULT_PIPELINE = {
+  agents: {
+    account: { enabled: true, weight: 1, model: null },
+    content: { enabled: true, weight: 2, model: null },
+    media: { enabled: true, weight: 1, model: null }
+  },
+  aggregation: 'veto-on-noise',
+  vetoThreshold: 30
+};
+export const AGGREGATION_STRATEGIES = ['veto-on-noise', 'weighted-mean', 'max'];
+export const ENSEMBLE_STRATEGIES = ['weighted-average', 'majority-vote'];
+
+// Cascade mode: a fast model scores first and a stronger one is only asked
+// when the fast model is unsure or close to the user's threshold
+export const DEFAULT_CASCADE = {
+  fastModel: process.env.CASCADE_FAST_MODEL || 'llama3.2:1b',
+  strongModel: process.env.CASCADE_STRONG_MODEL || 'qwen2.5:7b',
+  confidenceCutoff: 0.7,
+  thresholdMargin: 10
+};
+
+// Raised when the model's reply can't be turned into a score. Callers report
+// it as a failure instead of substituting a neutral score.
+function invalidOutputError(message, rawResponse) {
+  const error = new Error(message);
+  error.code = 'INVALID_MODEL_OUTPUT';
+  error.rawResponse = rawResponse;
+  return error;
+}
+
+// Tweet analysis on top of a pluggable LLM provider (see providers/index.js).
+// The name predates the provider layer; Ollama is still the default backend.
 class OllamaClient {
-  constructor(host = 'http://localhost:11434', debug = false) {
-    this.host = host;
-    this.defaultModel = 'llama3.2:3b'; // Using Llama 3.2 for better JSON compliance
+  // options.feedbackStore: labeled tweets to use as few-shot examples
+  constructor(provider = createProvider(), debug = false, options = {}) {
+    // Accept a bare host string for backward compatibility
+    this.provider = typeof provider === 'string' ? new OllamaProvider(provider) : provider;
+    this.defaultModel = process.env.LLM_MODEL || process.env.OLLAMA_MODEL || this.provider.defaultModel;
     this.accountCache = new Map(); // Cache for account scores
     this.cacheTimeout = 3600000; // 1 hour cache
     this.debug = debug || process.env.OLLAMA_DEBUG === 'true'; // Enable debug via env var
+    this.templates = new PromptTemplateStore();
+    this.installedModels = { names: [], fetchedAt: 0 };
+    this.modelListTtl = 30000; // Re-check installed models every 30 seconds
+    this.cascadeStats = { requests: 0, escalated: 0, reasons: {}, latency: { fast: 0, strong: 0 } };
+    this.feedbackStore = options.feedbackStore || null;
+    this.fewShotCount = parseInt(process.env.FEW_SHOT_EXAMPLES || '3');
+    this.visionModel = process.env.VISION_MODEL || 'llava';
+    this.fakeVision = new FakeVisionProvider();
   }
 
   async checkHealth() {
-    try {
-      const response = await fetch(`${this.host}/api/tags`);
-      return response.ok;
-    } catch (error) {
-      return false;
-    }
+    return this.provider.checkHealth();
   }
 
   async listModels() {
-    try {
-      const response = await fetch(`${this.host}/api/tags`);
-      const data = await response.json();
-      return data.models || [];
-    } catch (error) {
-      logger.logError('Listing models', error);
-      return [];
+    return this.provider.listModels();
+  }
+
+  async getInstalledModelNames() {
+    if (Date.now() - this.installedModels.fetchedAt > this.modelListTtl) {
+      const models = await this.listModels();
+      this.installedModels = { names: models.map(m => m.name), fetchedAt: Date.now() };
     }
+    return this.installedModels.names;
   }
 
-  async generateCompletion(prompt, options = {}) {
-    const body = {
-      model: options.model || this.defaultModel,
-      prompt: prompt,
-      stream: false,
-      options: {
-        temperature: options.temperature || 0.3,
-        top_p: options.top_p || 0.9,
-        num_predict: options.max_tokens || 150,
-      }
-    };
+  // Resolves the model a request should run on. A requested model must be
+  // installed; with no request, the configured default is used, or the first
+  // installed model if the default isn't available on this machine.
+  async resolveModel(requested) {
+    const installed = await this.getInstalledModelNames();
 
-    try {
-      const response = await fetch(`${this.host}/api/generate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(body),
-      });
-
-      if (!response.ok) {
-        throw new Error(`Ollama API error: ${response.status}`);
+    if (requested) {
+      if (installed.includes(requested)) {
+        return requested;
       }
-
-      const data = await response.json();
-      return data.response;
-    } catch (error) {
-      logger.logError('Generating completion', error);
+      const error = new Error(`Model "${requested}" is not installed`);
+      error.code = 'MODEL_NOT_FOUND';
+      error.availableModels = installed;
       throw error;
     }
+
+    if (installed.length > 0 && !installed.includes(this.defaultModel)) {
+      logger.debug(`Default model ${this.defaultModel} not installed, using ${installed[0]}`);
+      return installed[0];
+    }
+
+    return this.defaultModel;
+  }
+
+  // The fake model doesn't need to be installed
+  async resolveVisionModel(requested) {
+    const model = requested || this.visionModel;
+    return model === FAKE_VISION_MODEL ? model : this.resolveModel(model);
+  }
+
+  async generateCompletion(prompt, options = {}) {
+    return this.provider.generateCompletion(prompt, {
+      ...options,
+      model: options.model || this.defaultModel
+    });
   }
 
   async analyzeTweet(tweetText, userPreferences = {}) {
@@ -68,53 +144,118 @@ class OllamaClient {
     return this.analyzeContent(tweetText, userPreferences);
   }
   
-  // REMOVED: Multi-agent analysis - now using content-only
-  /*
-  async analyzeWithMultipleAgents(tweetData, userPreferences = {}) {
+  // Runs the enabled agents in parallel and combines their scores. Agents
+  // with nothing to look at (no author, no media) are skipped; failed agents
+  // are reported in agentScores and left out of the aggregate.
+  async analyzeWithMultipleAgents(tweetData, userPreferences = {}, pipeline = DEFAULT_PIPELINE) {
+    const config = this.normalizePipeline(pipeline);
     const analysisId = `multi_${Date.now().toString(36)}`;
-    
+    const agents = {
+      account: preferences => this.analyzeAccount(tweetData.author, preferences),
+      content: preferences => this.analyzeContent(tweetData.text || '', preferences, {
+        context: this.normalizeContext(tweetData.context),
+        language: tweetData.language
+      }),
+      media: preferences => this.analyzeMedia(tweetData, preferences)
+    };
+
     if (this.debug) {
       console.log(`[Multi-Agent] Starting analysis ${analysisId} for @${tweetData.author?.handle || 'unknown'}`);
     }
-    
-    const startTime = Date.now();
-    
-    // Run all agents in parallel
-    const [accountResult, contentResult, mediaResult] = await Promise.allSettled([
-      this.analyzeAccount(tweetData.author, userPreferences),
-      this.analyzeContent(tweetData.text, userPreferences),
-      this.analyzeMedia(tweetData, userPreferences)
-    ]);
-    
-    const parallelTime = Date.now() - startTime;
-    
-    // Collect successful results
-    const results = {
-      account: accountResult.status === 'fulfilled' ? accountResult.value : null,
-      content: contentResult.status === 'fulfilled' ? contentResult.value : null,
-      media: mediaResult.status === 'fulfilled' ? mediaResult.value : null
-    };
-    
+
+    const enabled = Object.keys(agents).filter(name => config.agents[name].enabled);
+    const settled = await Promise.allSettled(enabled.map(async name => {
+      const startTime = Date.now();
+      const result = await agents[name]({
+        ...userPreferences,
+        model: config.agents[name].model || userPreferences.model
+      });
+      return result && { ...result, latency: Date.now() - startTime };
+    }));
+
+    const results = {};
+    enabled.forEach((name, i) => {
+      const outcome = settled[i];
+      if (outcome.status === 'rejected') {
+        results[name] = { error: outcome.reason.message, code: outcome.reason.code };
+      } else {
+        results[name] = outcome.value || { skipped: true };
+      }
+    });
+
     if (this.debug) {
-      console.log(`[Multi-Agent] Results:`);
-      if (results.account) console.log(`  Account: ${results.account.score} (${results.account.reason})`);
-      if (results.content) console.log(`  Content: ${results.content.score} (${results.content.reason})`);
-      if (results.media) console.log(`  Media: ${results.media.score} (${results.media.reason})`);
+      for (const [name, result] of Object.entries(results)) {
+        console.log(`  ${name}: ${result.score ?? (result.skipped ? 'skipped' : result.error)}`);
+      }
     }
-    
-    // Aggregate results
-    const aggregated = await this.aggregateResults(results, userPreferences);
-    
-    if (this.debug) {
-      console.log(`[Multi-Agent] Final: Score=${aggregated.score}, Signal=${aggregated.isSignal}, Time=${parallelTime}ms`);
+
+    const template = this.templates.get(userPreferences.template);
+    return {
+      ...this.aggregateResults(results, config, userPreferences),
+      model: userPreferences.model || this.defaultModel,
+      template: template.name,
+      templateVersion: template.version
+    };
+  }
+
+  // Fills in defaults for anything the client left out. Unknown agents are
+  // ignored; an unknown aggregation strategy is rejected.
+  normalizePipeline(pipeline = {}) {
+    const aggregation = pipeline.aggregation || DEFAULT_PIPELINE.aggregation;
+    if (!AGGREGATION_STRATEGIES.includes(aggregation)) {
+      const error = new Error(`Unknown aggregation strategy "${aggregation}"`);
+      error.code = 'INVALID_PIPELINE';
+      throw error;
     }
-    
-    return aggregated;
+
+    const agents = {};
+    for (const [name, defaults] of Object.entries(DEFAULT_PIPELINE.agents)) {
+      const agent = { ...defaults, ...(pipeline.agents?.[name] || {}) };
+      const weight = Number(agent.weight);
+      agents[name] = {
+        enabled: agent.enabled !== false,
+        weight: Number.isFinite(weight) && weight >= 0 ? weight : defaults.weight,
+        model: agent.model || null
+      };
+    }
+
+    if (!Object.values(agents).some(agent => agent.enabled)) {
+      const error = new Error('At least one agent must be enabled');
+      error.code = 'INVALID_PIPELINE';
+      throw error;
+    }
+
+    const vetoThreshold = Number(pipeline.vetoThreshold);
+    return {
+      agents,
+      aggregation,
+      vetoThreshold: Number.isFinite(vetoThreshold) ? vetoThreshold : DEFAULT_PIPELINE.vetoThreshold
+    };
+  }
+
+  // Normalizes the pipeline and checks every per-agent model is installed
+  async resolvePipeline(pipeline) {
+    const config = this.normalizePipeline(pipeline);
+    for (const agent of Object.values(config.agents)) {
+      if (agent.enabled && agent.model) {
+        agent.model = await this.resolveModel(agent.model);
+      }
+    }
+    return config;
   }
-  */
   
-  async analyzeContent(tweetText, userPreferences = {}) {
-    const prompt = this.buildAnalysisPrompt(tweetText, userPreferences);
+  // details are per-tweet extras: context is the quoted tweet and/or the
+  // tweet being replied to, as returned by normalizeContext; language is
+  // X's language code for the tweet, detected from the text when missing
+  async analyzeContent(tweetText, userPreferences = {}, details = {}) {
+    if (userPreferences.cascade) {
+      return this.analyzeCascade(tweetText, userPreferences, details);
+    }
+
+    const model = userPreferences.model || this.defaultModel;
+    const template = this.templates.get(userPreferences.template);
+    const language = resolveLanguage(details.language, tweetText);
+    const prompt = this.buildAnalysisPrompt(tweetText, userPreferences, template, { ...details, language });
     const requestId = `content_${Date.now().toString(36)}`;
     
     if (this.debug) {
@@ -129,6 +270,8 @@ class OllamaClient {
       }
       
       const response = await this.generateCompletion(prompt, {
+        model,
+        format: ANALYSIS_SCHEMA,
         temperature: 0.1,
         max_tokens: 100
       });
@@ -140,9 +283,16 @@ class OllamaClient {
         console.log(`[Content Agent] Response received: ${response.substring(0, 100)}...`);
       }
 
-      const threshold = userPreferences.threshold || 70;
+      const threshold = userPreferences.threshold || DEFAULT_THRESHOLD;
       const parsed = this.parseAnalysisResponse(response, threshold);
       parsed.agentType = 'content';
+      parsed.model = model;
+      parsed.template = template.name;
+      parsed.templateVersion = template.version;
+      parsed.language = language;
+      if (details.context) {
+        parsed.contextUsed = Object.keys(details.context);
+      }
       
       if (this.debug) {
         console.log(`[Content Agent] Score=${parsed.score}, Category=${parsed.category}, Signal=${parsed.isSignal}, Latency=${latency}ms`);
@@ -151,574 +301,741 @@ class OllamaClient {
       return parsed;
     } catch (error) {
       console.error(`Content agent error (${requestId}):`, error.message);
-      return {
-        score: 50,
-        isSignal: false,
-        reason: 'Content analysis failed',
-        confidence: 0,
-        agentType: 'content'
+      throw error;
+    }
+  }
+
+  // Scores a tweet from its images with a multimodal model. images are
+  // already loaded: [{ data (base64), mimeType, alt }].
+  async analyzeImages(tweetText, images, userPreferences = {}) {
+    const model = userPreferences.visionModel || this.visionModel;
+    const template = this.templates.get(userPreferences.template);
+    const altText = images.map(image => image.alt).filter(alt => alt && alt !== 'Image');
+    const prompt = this.templates.render(this.templates.getPrompt(template, 'vision'), {
+      ...this.buildTemplateVariables(userPreferences),
+      examples: this.buildFewShotExamples(tweetText, userPreferences),
+      alt_text: altText.length > 0 ? altText.join(' | ') : 'none',
+      tweet: (tweetText || '(no text)').substring(0, MAX_TWEET_LENGTH)
+    });
+
+    const generator = model === FAKE_VISION_MODEL ? this.fakeVision : this.provider;
+    const response = await generator.generateCompletion(prompt, {
+      model,
+      format: ANALYSIS_SCHEMA,
+      temperature: 0.1,
+      max_tokens: 100,
+      images
+    });
+
+    const parsed = this.parseAnalysisResponse(response, userPreferences.threshold || DEFAULT_THRESHOLD);
+    parsed.agentType = 'vision';
+    parsed.model = model;
+    parsed.template = template.name;
+    parsed.templateVersion = template.version;
+    parsed.imageCount = images.length;
+    parsed.scorer = 'vision';
+    return parsed;
+  }
+
+  // Runs the fast model, then the strong model if the fast result is below
+  // the confidence cutoff, within thresholdMargin of the threshold, or failed
+  async analyzeCascade(tweetText, userPreferences, details = {}) {
+    const { cascade, ...preferences } = userPreferences;
+    const config = this.normalizeCascade(cascade);
+    const threshold = preferences.threshold || DEFAULT_THRESHOLD;
+    const stages = [];
+
+    const runStage = async (stage, model) => {
+      const startTime = Date.now();
+      try {
+        const result = await this.analyzeContent(tweetText, { ...preferences, model }, details);
+        stages.push({ stage, model, score: result.score, confidence: result.confidence, latency: Date.now() - startTime });
+        return result;
+      } catch (error) {
+        stages.push({ stage, model, error: error.message, latency: Date.now() - startTime });
+        throw error;
+      }
+    };
+
+    let result = null;
+    let escalation = null;
+    let escalationFailed = false;
+    try {
+      result = await runStage('fast', config.fastModel);
+      if (result.confidence < config.confidenceCutoff) {
+        escalation = 'low-confidence';
+      } else if (Math.abs(result.score - threshold) <= config.thresholdMargin) {
+        escalation = 'near-threshold';
+      }
+    } catch (error) {
+      escalation = 'fast-model-failed';
+    }
+
+    // A failed strong stage falls back to the fast result when there is one;
+    // the request only fails when neither model produced a score
+    try {
+      if (escalation) {
+        result = await runStage('strong', config.strongModel);
+      }
+    } catch (error) {
+      if (!result) throw error;
+      escalationFailed = true;
+    } finally {
+      this.recordCascade(stages, escalation);
+    }
+
+    const stats = this.getCascadeStats();
+    logger.info(`Cascade: ${stages.map(s => `${s.model} ${s.error ? 'failed' : s.score} (${s.latency}ms)`).join(' -> ')}` +
+      `${escalation ? `, escalated: ${escalation}` : ''}, escalation rate ${Math.round(stats.escalationRate * 100)}%`);
+
+    return {
+      ...result,
+      cascade: {
+        escalated: Boolean(escalation),
+        escalationReason: escalation,
+        escalationFailed,
+        stages,
+        escalationRate: stats.escalationRate
+      }
+    };
+  }
+
+  normalizeCascade(cascade = {}) {
+    const config = { ...DEFAULT_CASCADE };
+    for (const key of ['fastModel', 'strongModel']) {
+      if (cascade[key]) config[key] = cascade[key];
+    }
+    for (const key of ['confidenceCutoff', 'thresholdMargin']) {
+      const value = Number(cascade[key]);
+      if (cascade[key] !== undefined && cascade[key] !== null && Number.isFinite(value) && value >= 0) {
+        config[key] = value;
+      }
+    }
+    return config;
+  }
+
+  // Normalizes the cascade and checks both stage models are installed
+  async resolveCascade(cascade) {
+    const config = this.normalizeCascade(cascade);
+    await this.resolveModel(config.fastModel);
+    await this.resolveModel(config.strongModel);
+    return config;
+  }
+
+  recordCascade(stages, escalation) {
+    const stats = this.cascadeStats;
+    stats.requests++;
+    if (escalation) {
+      stats.escalated++;
+      stats.reasons[escalation] = (stats.reasons[escalation] || 0) + 1;
+    }
+    for (const stage of stages) {
+      stats.latency[stage.stage] += stage.latency;
+    }
+  }
+
+  // Escalation rate and average per-stage latency since the server started
+  getCascadeStats() {
+    const { requests, escalated, reasons, latency } = this.cascadeStats;
+    return {
+      requests,
+      escalated,
+      escalationRate: requests > 0 ? Math.round((escalated / requests) * 100) / 100 : 0,
+      reasons,
+      avgLatency: {
+        fast: requests > 0 ? Math.round(latency.fast / requests) : 0,
+        strong: escalated > 0 ? Math.round(latency.strong / escalated) : 0
+      }
+    };
+  }
+
+  // With languagePrompts: 'native', a tweet is rated with the template's
+  // prompt in its own language when there is one (analysis.<lang>.txt)
+  buildAnalysisPrompt(tweetText, userPreferences = {}, template = this.templates.get(userPreferences.template), details = {}) {
+    const language = details.language || resolveLanguage(null, tweetText);
+    const localized = userPreferences.languagePrompts === 'native'
+      ? this.templates.getLocalizedPrompt(template, language)
+      : null;
+
+    return this.templates.render(localized || template.analysis, {
+      ...this.buildTemplateVariables(userPreferences),
+      examples: this.buildFewShotExamples(tweetText, userPreferences),
+      context: this.buildContextBlock(details.context),
+      language: localized ? '' : this.buildLanguageBlock(language),
+      tweet: details.thread ? this.buildThreadText(details.thread) : tweetText.substring(0, MAX_TWEET_LENGTH)
+    });
+  }
+
+  // Thread members as "1/3 ...", each cut to its share of MAX_THREAD_LENGTH
+  // so the last replies reach the model as well as the first
+  buildThreadText(members) {
+    const budget = Math.floor(MAX_THREAD_LENGTH / members.length);
+    return members
+      .map((text, index) => `${index + 1}/${members.length} ${text.substring(0, budget)}`)
+      .join('\n\n');
+  }
+
+  // The texts of a thread's tweets in order, or null unless there are two or
+  // more
+  normalizeThread(thread) {
+    if (!Array.isArray(thread)) return null;
+    const members = thread
+      .filter(text => typeof text === 'string')
+      .map(text => text.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .slice(0, MAX_THREAD_MEMBERS);
+    return members.length >= 2 ? members : null;
+  }
+
+  // Small models read "English-only rubric" as "English-only reader" and
+  // underrate everything else
+  buildLanguageBlock(language) {
+    if (!language || language === 'en' || language === 'und') return '';
+    return `LANGUAGE: The tweet is in ${languageName(language)}. Judge its content exactly as you would an English tweet - do not lower the score because of the language. Write the reason in English.\n\n`;
+  }
+
+  // Keeps the quoted/parent tweet fields that have text, or null when there
+  // are none. Each is { text, author }.
+  normalizeContext(context) {
+    if (!context || typeof context !== 'object') return null;
+
+    const normalized = {};
+    for (const kind of ['quoted', 'parent']) {
+      const entry = context[kind];
+      const text = typeof entry?.text === 'string' ? entry.text.replace(/\s+/g, ' ').trim() : '';
+      if (!text) continue;
+      normalized[kind] = {
+        text: text.substring(0, MAX_CONTEXT_LENGTH),
+        author: typeof entry.author === 'string' ? entry.author.replace(/[^\w@]/g, '').substring(0, 16) : ''
       };
     }
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  // A reaction like "This. 100%." is only as good as what it reacts to
+  buildContextBlock(context) {
+    if (!context) return '';
+
+    const lines = [];
+    if (context.parent) {
+      lines.push(`It replies to ${context.parent.author || 'a tweet'}: "${context.parent.text}"`);
+    }
+    if (context.quoted) {
+      lines.push(`It quotes ${context.quoted.author || 'a tweet'}: "${context.quoted.text}"`);
+    }
+    return `CONTEXT - judge the tweet together with what it responds to. A short reaction that adds to valuable content can be signal:\n${lines.join('\n')}\n\n`;
+  }
+
+  // Recent tweets the user labeled that resemble this one, so the model
+  // follows their corrections. Empty when there are none or when the
+  // request opts out with fewShot: false.
+  buildFewShotExamples(text, userPreferences = {}) {
+    if (!this.feedbackStore || userPreferences.fewShot === false) return '';
+
+    const examples = this.feedbackStore.selectExamples(text, this.fewShotCount);
+    if (examples.length === 0) return '';
+
+    const lines = examples.map(example =>
+      `"${example.text.substring(0, 200).replace(/\s+/g, ' ')}" -> ${example.label === 'signal' ? 'SIGNAL (score 80+)' : 'NOISE (score under 30)'}`
+    );
+    return `THIS READER LABELED THESE SIMILAR TWEETS - follow their judgement:\n${lines.join('\n')}\n\n`;
   }
 
-  buildAnalysisPrompt(tweetText, userPreferences = {}) {
-    // Streamlined prompt with pattern matching
-    return `You are a tech content filter. Rate tweets 0-100.
+  // Variables available to every template. An empty signal list is derived
+  // from the interests; with neither, the default tech rubric is used
+  buildTemplateVariables(userPreferences = {}) {
+    const interests = this.normalizePreferenceList(userPreferences.interests);
+    let signal = this.normalizePreferenceList(userPreferences.signalPatterns);
+    const noise = this.normalizePreferenceList(userPreferences.noisePatterns);
 
-SIGNAL PATTERNS (80-100):
-• AI/ML/LLM research, models, tools
-• Startups, YC, funding, building
-• Code, APIs, technical tutorials
-• Open source, developer tools
+    if (signal.length === 0 && interests.length > 0) {
+      signal = interests.map(interest => `In-depth content about ${interest}`);
+    }
 
-NOISE PATTERNS (0-30):
-• Entertainment, celebrity, lifestyle
-• Food, fashion, dating, sports
-• Personal drama, political rants
+    return {
+      interests: interests.length > 0 ? interests.join(', ') : 'general technology',
+      signal_patterns: (signal.length > 0 ? signal : DEFAULT_SIGNAL_PATTERNS)
+        .map(pattern => `• ${pattern}`).join('\n'),
+      noise_patterns: (noise.length > 0 ? noise : DEFAULT_NOISE_PATTERNS)
+        .map(pattern => `• ${pattern}`).join('\n'),
+      threshold: userPreferences.threshold || DEFAULT_THRESHOLD
+    };
+  }
 
-Tweet: "${tweetText.substring(0, 500)}"
+  // Accepts an array or newline-separated string; trims, dedupes and caps the
+  // list so a long textarea can't crowd the tweet out of the context window
+  normalizePreferenceList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split('\n');
+    const seen = new Set();
+    const result = [];
 
-Respond with JSON only:
-{"score": <0-100>, "reason": "<10 words max>", "confidence": <0.0-1.0>}
+    for (const item of items) {
+      const cleaned = String(item)
+        .replace(/["\r\n]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .substring(0, MAX_PREFERENCE_LENGTH);
+      const key = cleaned.toLowerCase();
 
-Examples:
-"Shipped YC-backed AI coding assistant with novel attention mechanism"
-{"score": 95, "reason": "YC startup launching AI developer tool", "confidence": 0.95}
+      if (!cleaned || seen.has(key)) continue;
+      seen.add(key);
+      result.push(cleaned);
 
-"Celebrity drama at red carpet event last night"
-{"score": 5, "reason": "Entertainment gossip content", "confidence": 0.99}
+      if (result.length >= MAX_PREFERENCE_ITEMS) break;
+    }
 
-"Thread: Scaling API to 1M req/s with Rust"
-{"score": 90, "reason": "Technical infrastructure deep-dive", "confidence": 0.9}`;
+    return result;
+  }
+
+  parseAnalysisResponse(response, threshold = DEFAULT_THRESHOLD) {
+    const parsed = this.extractJson(response);
+    const errors = validate(parsed, ANALYSIS_SCHEMA);
+    if (errors.length > 0) {
+      throw invalidOutputError(`Model output does not match schema: ${errors.join('; ')}`, response);
+    }
+
+    return {
+      score: parsed.score,
+      isSignal: parsed.score >= threshold, // Direct threshold comparison
+      category: this.categorize(parsed.score, threshold), // Multi-level classification
+      reason: parsed.reason,
+      confidence: parsed.confidence
+    };
   }
 
-  parseAnalysisResponse(response, threshold = 70) {
+  // Schema-constrained backends reply with bare JSON; for those that ignore
+  // the format option, fall back to the outermost JSON value in the text
+  extractJson(response = '') {
     try {
-      // Try to extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*?\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        const score = Math.max(0, Math.min(100, parsed.score || 50));
-        
-        // Simplified scoring with confidence levels
-        let category;
-        if (score >= 80) {
-          category = 'high-signal';
-        } else if (score >= threshold) {
-          category = 'signal';
-        } else if (score >= 40) {
-          category = 'medium';
-        } else {
-          category = 'noise';
-        }
-        
-        return {
-          score,
-          isSignal: score >= threshold, // Direct threshold comparison
-          category, // New field for multi-level classification
-          reason: parsed.reason || 'No reason provided',
-          confidence: parsed.confidence || 0.5
-        };
-      }
+      return JSON.parse(response);
     } catch (error) {
-      // Try alternative parsing for common patterns
-      const scoreMatch = response.match(/"score"\s*:\s*(\d+)/);
-      const reasonMatch = response.match(/"reason"\s*:\s*"([^"]*)"/);
-      const confidenceMatch = response.match(/"confidence"\s*:\s*([\d.]+)/);
-      
-      if (scoreMatch) {
-        const score = Math.max(0, Math.min(100, parseInt(scoreMatch[1])));
-        
-        let category;
-        if (score >= 80) {
-          category = 'high-signal';
-        } else if (score >= threshold) {
-          category = 'signal';
-        } else if (score >= 40) {
-          category = 'medium';
-        } else {
-          category = 'noise';
+      const match = response.match(/[[{][\s\S]*[\]}]/);
+      if (match) {
+        try {
+          return JSON.parse(match[0]);
+        } catch (innerError) {
+          // Reported below
         }
-        
-        return {
-          score,
-          isSignal: score >= threshold,
-          category,
-          reason: reasonMatch ? reasonMatch[1] : 'Partial parse',
-          confidence: confidenceMatch ? parseFloat(confidenceMatch[1]) : 0.5
-        };
       }
-      
-      logger.logError('Parsing LLM response', error);
     }
 
-    // Fallback parsing
-    return {
-      score: 50,
-      isSignal: false,
-      category: 'medium',
-      reason: 'Could not parse response',
-      confidence: 0
-    };
+    throw invalidOutputError('Model output is not valid JSON', response);
+  }
+
+  categorize(score, threshold) {
+    return ScoreCategory.categorize(score, threshold);
   }
 
   async analyzeTweetBatch(tweets, userPreferences = {}) {
     // Process all tweets with LLM only
     const results = [];
     const needsLLM = [];
+    const native = [];
+    const template = this.templates.get(userPreferences.template);
     
-    // Prepare all tweets for LLM analysis
+    // Prepare all tweets for LLM analysis. The batch prompt is English only,
+    // so with languagePrompts: 'native' a tweet the template has a prompt
+    // for in its own language is rated on its own with that prompt
     for (let i = 0; i < tweets.length; i++) {
-      needsLLM.push({ index: i, tweet: tweets[i] });
+      const language = resolveLanguage(tweets[i].language, tweets[i].text);
+      if (userPreferences.languagePrompts === 'native' && this.templates.getLocalizedPrompt(template, language)) {
+        native.push({ index: i, tweet: tweets[i], language });
+      } else {
+        needsLLM.push({ index: i, tweet: tweets[i] });
+      }
       results[i] = null; // Placeholder
     }
     
+    // A few at a time; a tweet that fails gets its own error instead of
+    // failing the batch
+    let next = 0;
+    const rateNative = async () => {
+      while (next < native.length) {
+        const { index, tweet, language } = native[next++];
+        try {
+          results[index] = await this.analyzeContent(tweet.text, userPreferences, {
+            context: tweet.context,
+            language,
+            thread: tweet.thread
+          });
+        } catch (error) {
+          logger.logError('Native-language batch analysis', error);
+          results[index] = { error: error.message, code: error.code };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(NATIVE_BATCH_CONCURRENCY, native.length) }, rateNative));
+    
     // Batch LLM for all tweets
     if (needsLLM.length > 0) {
-      const batchPrompt = this.buildCompactBatchPrompt(needsLLM, userPreferences);
+      const model = userPreferences.model || this.defaultModel;
+      const batchPrompt = this.buildCompactBatchPrompt(needsLLM, userPreferences, template);
       
       try {
         const response = await this.generateCompletion(batchPrompt, {
+          model,
+          format: BATCH_SCHEMA,
           temperature: 0.1,
           max_tokens: 20 * needsLLM.length // ~20 tokens per tweet
         });
         
-        const llmResults = this.parseBatchResponse(response, needsLLM.length, userPreferences.threshold || 70);
+        const llmResults = this.parseBatchResponse(response, needsLLM.length, userPreferences.threshold || DEFAULT_THRESHOLD);
         
         // Merge LLM results
         for (let i = 0; i < needsLLM.length; i++) {
-          results[needsLLM[i].index] = llmResults[i];
+          results[needsLLM[i].index] = {
+            ...llmResults[i],
+            model,
+            template: template.name,
+            templateVersion: template.version
+          };
         }
       } catch (error) {
         logger.logError('Batch LLM analysis', error);
-        // Fill with medium confidence scores
-        for (const item of needsLLM) {
-          results[item.index] = {
-            score: 50,
-            isSignal: false,
-            category: 'medium',
-            reason: 'Analysis error',
-            confidence: 0
-          };
-        }
+        throw error;
       }
     }
     
     return results;
   }
 
-  buildCompactBatchPrompt(tweetsWithIndex, userPreferences) {
-    const tweetList = tweetsWithIndex.map((item, i) => 
-      `${i + 1}: "${item.tweet.text.substring(0, 200)}"`
-    ).join('\n');
+  buildCompactBatchPrompt(tweetsWithIndex, userPreferences = {}, template = this.templates.get(userPreferences.template)) {
+    const tweetList = tweetsWithIndex.map((item, i) => {
+      const { quoted, parent } = item.tweet.context || {};
+      const replyTo = parent ? ` (replying to: "${parent.text.substring(0, 100)}")` : '';
+      const quoting = quoted ? ` (quoting: "${quoted.text.substring(0, 100)}")` : '';
+      const language = resolveLanguage(item.tweet.language, item.tweet.text);
+      const written = ['en', 'und'].includes(language) ? '' : ` (in ${languageName(language)} - judge the content, not the language)`;
+      return `${i + 1}: "${item.tweet.text.substring(0, 200)}"${replyTo}${quoting}${written}`;
+    }).join('\n');
+
+    // Templates without their own batch prompt share the default one
+    return this.templates.render(this.templates.getPrompt(template, 'batch'), {
+      ...this.buildTemplateVariables(userPreferences),
+      examples: this.buildFewShotExamples(tweetsWithIndex.map(item => item.tweet.text).join('\n'), userPreferences),
+      tweets: tweetList,
+      count: tweetsWithIndex.length
+    });
+  }
+
+  // Tweets the model skipped come back as { error } entries rather than
+  // placeholder scores
+  parseBatchResponse(response, expectedCount, threshold = DEFAULT_THRESHOLD) {
+    let parsed = this.extractJson(response);
 
-    return `Rate tech relevance (0-100):
-${tweetList}
+    // Older prompts asked for a bare array
+    if (Array.isArray(parsed)) {
+      parsed = { results: parsed };
+    }
+
+    const errors = validate(parsed, BATCH_SCHEMA);
+    if (errors.length > 0) {
+      throw invalidOutputError(`Model output does not match schema: ${errors.join('; ')}`, response);
+    }
+
+    const results = new Array(expectedCount).fill(null);
+    for (const item of parsed.results) {
+      if (item.i <= expectedCount) {
+        results[item.i - 1] = {
+          score: item.s,
+          isSignal: item.s >= threshold,
+          category: this.categorize(item.s, threshold),
+          reason: item.r,
+          confidence: 0.8
+        };
+      }
+    }
 
-JSON array only:
-[{"i":1,"s":<score>,"r":"<5 words>"}...]`;
+    return results.map(r => r || { error: 'Missing from model output' });
   }
-  
-  buildBatchPrompt(tweets, userInterests) {
-    const interestContext = userInterests.length > 0 
-      ? `User interests: ${userInterests.join(', ')}\n\n` 
-      : '';
 
-    const tweetList = tweets.map((tweet, i) => 
-      `Tweet ${i + 1}: "${tweet.text}"`
-    ).join('\n\n');
+  // Scores the tweet with several models concurrently and combines them.
+  // Models that fail are reported in modelScores and left out of the result.
+  async analyzeEnsemble(tweetText, userPreferences = {}, ensemble = {}, details = {}) {
+    const config = this.normalizeEnsemble(ensemble);
+    const template = this.templates.get(userPreferences.template);
 
-    return `You are a tweet classifier. Analyze these tweets and rate each as high-signal (valuable) or low-signal/noise.
+    const settled = await Promise.allSettled(config.models.map(async model => {
+      const startTime = Date.now();
+      const result = await this.analyzeContent(tweetText, { ...userPreferences, model, cascade: null }, details);
+      return { ...result, latency: Date.now() - startTime };
+    }));
 
-${interestContext}${tweetList}
+    const results = {};
+    config.models.forEach((model, i) => {
+      const outcome = settled[i];
+      results[model] = outcome.status === 'fulfilled'
+        ? outcome.value
+        : { error: outcome.reason.message, code: outcome.reason.code };
+    });
 
-Respond with a JSON array where each object has:
-{
-  "index": <tweet number>,
-  "score": <0-100>,
-  "reason": "<brief explanation>"
-}`;
+    return {
+      ...this.combineEnsemble(results, config.strategy, userPreferences.threshold || DEFAULT_THRESHOLD),
+      model: userPreferences.model || this.defaultModel,
+      models: config.models,
+      template: template.name,
+      templateVersion: template.version
+    };
   }
 
-  parseBatchResponse(response, expectedCount, threshold = 70) {
-    try {
-      const jsonMatch = response.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        const results = new Array(expectedCount).fill(null);
-        
-        parsed.forEach((item, idx) => {
-          const index = item.i || item.index || (idx + 1);
-          const score = Math.max(0, Math.min(100, item.s || item.score || 50));
-          
-          // Determine category
-          let category;
-          if (score >= 80) {
-            category = 'high-signal';
-          } else if (score >= threshold) {
-            category = 'signal';
-          } else if (score >= 40) {
-            category = 'medium';
-          } else {
-            category = 'noise';
-          }
-          
-          if (index <= expectedCount) {
-            results[index - 1] = {
-              score,
-              isSignal: score >= threshold,
-              category,
-              reason: item.r || item.reason || 'Batch analysis',
-              confidence: 0.8
-            };
-          }
-        });
+  normalizeEnsemble(ensemble = {}) {
+    const models = [...new Set((ensemble.models || []).filter(Boolean))];
+    const strategy = ensemble.strategy || ENSEMBLE_STRATEGIES[0];
 
-        // Fill any missing results
-        return results.map(r => r || {
-          score: 50,
-          isSignal: false,
-          category: 'medium',
-          reason: 'No analysis provided',
-          confidence: 0
-        });
-      }
-    } catch (error) {
-      logger.logError('Parsing batch response', error);
+    if (models.length < 2) {
+      const error = new Error('Ensemble analysis needs at least two models');
+      error.code = 'INVALID_ENSEMBLE';
+      throw error;
+    }
+    if (!ENSEMBLE_STRATEGIES.includes(strategy)) {
+      const error = new Error(`Unknown ensemble strategy "${strategy}"`);
+      error.code = 'INVALID_ENSEMBLE';
+      throw error;
     }
 
-    return new Array(expectedCount).fill({
-      score: 50,
-      isSignal: false,
-      category: 'medium',
-      reason: 'Batch parsing failed',
-      confidence: 0
-    });
+    return { models, strategy };
   }
-  // REMOVED: Account analysis - no longer needed
-  /*
+
+  // Normalizes the ensemble and checks every model is installed
+  async resolveEnsemble(ensemble) {
+    const config = this.normalizeEnsemble(ensemble);
+    for (const model of config.models) {
+      await this.resolveModel(model);
+    }
+    return config;
+  }
+
+  // weighted-average: scores weighted by each model's confidence
+  // majority-vote:    the signal/noise label most models gave wins, scored by
+  //                   the mean of those models; a tie falls back to the average
+  // Confidence is scaled by the share of models that agree with the outcome.
+  combineEnsemble(results, strategy, threshold) {
+    const scored = Object.entries(results).filter(([, result]) => typeof result.score === 'number');
+
+    if (scored.length === 0) {
+      const first = Object.values(results)[0] || {};
+      const error = new Error(`All models failed (${Object.entries(results).map(([model, r]) => `${model}: ${r.error}`).join('; ')})`);
+      error.code = first.code;
+      throw error;
+    }
+
+    const weightedAverage = entries => {
+      const totalWeight = entries.reduce((sum, [, r]) => sum + (r.confidence || 0), 0);
+      const total = entries.reduce((sum, [, r]) => sum + r.score * (totalWeight > 0 ? r.confidence || 0 : 1), 0);
+      return Math.round(total / (totalWeight > 0 ? totalWeight : entries.length));
+    };
+
+    const signalVotes = scored.filter(([, r]) => r.score >= threshold);
+    const noiseVotes = scored.filter(([, r]) => r.score < threshold);
+    let score;
+
+    if (strategy === 'majority-vote' && signalVotes.length !== noiseVotes.length) {
+      const majority = signalVotes.length > noiseVotes.length ? signalVotes : noiseVotes;
+      score = Math.round(majority.reduce((sum, [, r]) => sum + r.score, 0) / majority.length);
+    } else {
+      score = weightedAverage(scored);
+    }
+
+    const isSignal = score >= threshold;
+    const agreeing = isSignal ? signalVotes : noiseVotes;
+    const agreement = agreeing.length / scored.length;
+    const meanConfidence = scored.reduce((sum, [, r]) => sum + r.confidence, 0) / scored.length;
+    const scores = scored.map(([, r]) => r.score);
+
+    const modelScores = {};
+    for (const [model, result] of Object.entries(results)) {
+      modelScores[model] = typeof result.score === 'number'
+        ? {
+          score: result.score,
+          isSignal: result.score >= threshold,
+          reason: result.reason,
+          confidence: result.confidence,
+          latency: result.latency
+        }
+        : { error: result.error };
+    }
+
+    return {
+      score,
+      isSignal,
+      category: this.categorize(score, threshold),
+      reason: (agreeing.length > 0 ? agreeing : scored).map(([model, r]) => `${model}: ${r.reason}`).join('; '),
+      confidence: Math.round(meanConfidence * agreement * 100) / 100,
+      modelScores,
+      disagreement: {
+        disagree: signalVotes.length > 0 && noiseVotes.length > 0,
+        agreement: Math.round(agreement * 100) / 100,
+        spread: Math.max(...scores) - Math.min(...scores),
+        votes: { signal: signalVotes.length, noise: noiseVotes.length }
+      },
+      strategy
+    };
+  }
+
+  // Scores the author from handle, name and verification alone. Results are
+  // kept for an hour per account, model, prompt and preferences.
   async analyzeAccount(author, userPreferences = {}) {
     if (!author || !author.handle) {
-      return {
-        score: 50,
-        reason: 'No author information available',
-        confidence: 0,
-        agentType: 'account'
-      };
+      return null;
     }
-    
-    // Check cache first
-    const cacheKey = `${author.handle}_${author.isVerified}_${author.isBlueVerified}`;
+
+    const model = userPreferences.model || this.defaultModel;
+    const template = this.templates.get(userPreferences.template);
+    const variables = this.buildTemplateVariables(userPreferences);
+    const cacheKey = JSON.stringify([
+      author.handle, !!author.isVerified, !!author.isBlueVerified,
+      model, template.version,
+      variables.interests, variables.signal_patterns, variables.noise_patterns, variables.threshold
+    ]);
     const cached = this.accountCache.get(cacheKey);
-    
+
     if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
       logger.debug(`Using cached score for ${author.handle}`, { score: cached.data.score });
       return { ...cached.data, fromCache: true };
     }
-    
-    const prompt = this.buildAccountPrompt(author, userPreferences);
-    const requestId = `acc_${Date.now().toString(36)}`;
-    
-    if (this.debug) {
-      console.log(`[Account Agent] Analyzing @${author.handle} (${requestId})`);
-    }
-    
-    try {
-      const startTime = Date.now();
-      
-      if (this.debug) {
-        console.log(`[Account Agent] Sending prompt...`);
-      }
-      
-      const response = await this.generateCompletion(prompt, {
-        temperature: 0.1,
-        max_tokens: 100
-      });
-      
-      const latency = Date.now() - startTime;
-      
-      if (this.debug) {
-        console.log(`[Account Agent] Response received: ${response.substring(0, 100)}...`);
-      }
-      
-      const parsed = this.parseAnalysisResponse(response, userPreferences.threshold || 70);
-      parsed.agentType = 'account';
-      
-      if (this.debug) {
-        console.log(`[Account Agent] Score=${parsed.score}, Signal=${parsed.isSignal}, Latency=${latency}ms`);
-      }
-      
-      // Cache the result
-      this.accountCache.set(cacheKey, {
-        data: parsed,
-        timestamp: Date.now()
-      });
-      
-      // Clean old cache entries if cache gets too large
-      if (this.accountCache.size > 1000) {
-        const oldestKey = Array.from(this.accountCache.entries())
-          .sort((a, b) => a[1].timestamp - b[1].timestamp)[0][0];
-        this.accountCache.delete(oldestKey);
-      }
-      
-      return parsed;
-    } catch (error) {
-      console.error(`Account agent error (${requestId}):`, error.message);
-      return {
-        score: 50,
-        isSignal: false,
-        reason: 'Account analysis failed',
-        confidence: 0,
-        agentType: 'account'
-      };
-    }
-  }
-  */
-  
-  // REMOVED: Media analysis - no longer needed
-  /*
-  async analyzeMedia(tweetData, userPreferences = {}) {
-    const hasRelevantMedia = tweetData.hasMedia || tweetData.hasExternalLinks;
-    
-    if (!hasRelevantMedia) {
-      if (this.debug) {
-        console.log('[Media Agent] No media/links to analyze');
-      }
-      return {
-        score: 50,
-        reason: 'No media or links to analyze',
-        confidence: 0.1,
-        agentType: 'media'
-      };
-    }
-    
-    const prompt = this.buildMediaPrompt(tweetData, userPreferences);
-    const requestId = `media_${Date.now().toString(36)}`;
-    
-    if (this.debug) {
-      console.log(`[Media Agent] Analyzing media (${requestId})`);
-    }
-    
-    try {
-      const startTime = Date.now();
-      
-      if (this.debug) {
-        console.log(`[Media Agent] Sending prompt...`);
-      }
-      
-      const response = await this.generateCompletion(prompt, {
-        temperature: 0.1,
-        max_tokens: 100
-      });
-      
-      const latency = Date.now() - startTime;
-      
-      if (this.debug) {
-        console.log(`[Media Agent] Response received: ${response.substring(0, 100)}...`);
-      }
-      
-      const parsed = this.parseAnalysisResponse(response, userPreferences.threshold || 70);
-      parsed.agentType = 'media';
-      
-      if (this.debug) {
-        console.log(`[Media Agent] Score=${parsed.score}, Signal=${parsed.isSignal}, Latency=${latency}ms`);
-      }
-      
-      return parsed;
-    } catch (error) {
-      console.error(`Media agent error (${requestId}):`, error.message);
-      return {
-        score: 50,
-        isSignal: false,
-        reason: 'Media analysis failed',
-        confidence: 0,
-        agentType: 'media'
-      };
-    }
-  }
-  */
-  
-  // REMOVED: Account prompt - no longer needed
-  /*
-  buildAccountPrompt(author, userPreferences = {}) {
-    return `You are filtering Twitter accounts for a tech professional interested in startups and AI.
-
-HIGH SIGNAL ACCOUNTS (score 80-100):
-- Founders, CTOs, technical co-founders
-- AI/ML researchers, engineers at AI companies
-- YC partners, alumni, portfolio founders
-- Developers sharing code and technical content
-- VCs focused on deep tech and AI
-- Authors writing about network states, future of tech
-
-NOISE ACCOUNTS (score 0-30):
-- Entertainment reporters, gossip accounts
-- Lifestyle influencers, fashion bloggers
-- Food/cooking personalities
-- Political commentators (unless tech policy)
-- Meme accounts, joke accounts
-- Promotional/marketing spam accounts
-
-Account: ${author.handle}
-Name: ${author.displayName}
-Verified: ${author.isVerified ? 'Yes (legacy)' : 'No'}
-Blue check: ${author.isBlueVerified ? 'Yes' : 'No'}
-
-QUICK HEURISTICS:
-- Handle contains "AI", "ML", "Dev", "Tech", "Founder" → likely HIGH SIGNAL
-- Bio mentions YC, startup, building, shipping → likely HIGH SIGNAL
-- Name includes "Coach", "Guru", "Influencer" → likely NOISE
-- Entertainment/lifestyle keywords → definitely NOISE
-
-Output ONLY valid JSON, no other text or tags:
-{
-  "score": <0-100>,
-  "reason": "<specific reason based on account type>",
-  "confidence": <0.0-1.0>
-}
-DO NOT include any thinking, explanations, or XML tags. ONLY the JSON object.
 
-Examples:
-@sama (Sam Altman, CEO of OpenAI)
-{"score": 100, "reason": "OpenAI CEO, YC former president, AI leader", "confidence": 0.99}
+    const prompt = this.templates.render(this.templates.getPrompt(template, 'account'), {
+      ...variables,
+      handle: author.handle,
+      display_name: author.displayName || '',
+      verified: author.isVerified ? 'Yes (legacy)' : 'No',
+      blue_verified: author.isBlueVerified ? 'Yes' : 'No'
+    });
 
-@CelebGossip247
-{"score": 0, "reason": "Entertainment gossip account", "confidence": 0.99}
+    const response = await this.generateCompletion(prompt, {
+      model,
+      format: ANALYSIS_SCHEMA,
+      temperature: 0.1,
+      max_tokens: 100
+    });
 
-@indie_hacker_bob (Bob Smith, Building in public)
-{"score": 85, "reason": "Indie founder sharing building journey", "confidence": 0.85}
+    const parsed = this.parseAnalysisResponse(response, userPreferences.threshold || DEFAULT_THRESHOLD);
+    parsed.agentType = 'account';
+    parsed.model = model;
 
-@paulg (Paul Graham, YC founder)
-{"score": 100, "reason": "YC founder, startup wisdom and essays", "confidence": 0.99}
+    this.accountCache.set(cacheKey, {
+      data: parsed,
+      timestamp: Date.now()
+    });
+
+    // Clean old cache entries if cache gets too large
+    if (this.accountCache.size > 1000) {
+      const oldestKey = Array.from(this.accountCache.entries())
+        .sort((a, b) => a[1].timestamp - b[1].timestamp)[0][0];
+      this.accountCache.delete(oldestKey);
+    }
 
-@FoodieInfluencer (Lifestyle & Recipes)
-{"score": 5, "reason": "Food and lifestyle content creator", "confidence": 0.95}`;
+    return parsed;
   }
-  */
-  
-  // REMOVED: Media prompt - no longer needed
-  /*
-  buildMediaPrompt(tweetData, userPreferences = {}) {
-    const domains = [...new Set(tweetData.links?.map(l => l.domain) || [])];
+
+  // Scores attached media and link domains. Tweets with neither are skipped.
+  async analyzeMedia(tweetData, userPreferences = {}) {
+    if (!tweetData.hasMedia && !tweetData.hasExternalLinks) {
+      return null;
+    }
+
+    const model = userPreferences.model || this.defaultModel;
+    const template = this.templates.get(userPreferences.template);
+    const domains = [...new Set(tweetData.links?.map(l => l.domain).filter(Boolean) || [])];
     const mediaTypes = tweetData.mediaTypes || [];
     const hashtags = tweetData.hashtags || [];
-    
-    return `Analyze the media/links in this tweet and rate their tech relevance.
-
-Tweet media information:
-${mediaTypes.length > 0 ? `- Media types: ${mediaTypes.join(', ')}` : '- No media attached'}
-${domains.length > 0 ? `- External links: ${domains.join(', ')}` : '- No external links'}
-${hashtags.length > 0 ? `- Hashtags: ${hashtags.slice(0, 5).join(', ')}` : '- No hashtags'}
-
-Rate based on these criteria:
-HIGH SIGNAL (80-100): GitHub, GitLab, arXiv, YC/HN, AI companies, tech blogs, code content
-NOISE (0-30): Instagram, TikTok, entertainment sites, recipes, lifestyle, sports
-
-Respond with ONLY this JSON format:
-{
-  "score": <0-100>,
-  "reason": "<specific reason based on media type>",
-  "confidence": <0.0-1.0>
-}
-DO NOT include any thinking, explanations, or XML tags. ONLY the JSON object.
 
-Examples:
-Links to: github.com, arxiv.org
-{"score": 95, "reason": "Code repository and research paper links", "confidence": 0.95}
+    const prompt = this.templates.render(this.templates.getPrompt(template, 'media'), {
+      ...this.buildTemplateVariables(userPreferences),
+      media_types: mediaTypes.length > 0 ? mediaTypes.join(', ') : 'none',
+      domains: domains.length > 0 ? domains.join(', ') : 'none',
+      hashtags: hashtags.length > 0 ? hashtags.slice(0, 5).join(', ') : 'none'
+    });
 
-Media: video, Links to: tiktok.com
-{"score": 10, "reason": "TikTok video likely lifestyle content", "confidence": 0.9}
+    const response = await this.generateCompletion(prompt, {
+      model,
+      format: ANALYSIS_SCHEMA,
+      temperature: 0.1,
+      max_tokens: 100
+    });
 
-Links to: ycombinator.com
-{"score": 90, "reason": "Hacker News discussion likely technical", "confidence": 0.9}
+    const parsed = this.parseAnalysisResponse(response, userPreferences.threshold || DEFAULT_THRESHOLD);
+    parsed.agentType = 'media';
+    parsed.model = model;
+    return parsed;
+  }
 
-No media, No external links
-{"score": 50, "reason": "No media to evaluate, neutral score", "confidence": 0.5}
+  // Combines per-agent results with the pipeline's strategy:
+  //   veto-on-noise  any agent below vetoThreshold decides, else weighted mean
+  //   weighted-mean  mean weighted by agent weight x confidence
+  //   max            the most optimistic agent wins
+  aggregateResults(results, config, userPreferences = {}) {
+    const scored = Object.entries(results).filter(([, result]) => typeof result.score === 'number');
 
-Links to: instagram.com, Hashtags: #food, #recipe
-{"score": 5, "reason": "Instagram food/lifestyle content", "confidence": 0.95}`;
-  }
-  */
-  
-  // REMOVED: Aggregation - no longer needed with single agent
-  /*
-  async aggregateResults(results, userPreferences = {}) {
-    const validResults = Object.values(results).filter(r => r && r.score !== undefined);
-    
-    if (validResults.length === 0) {
-      return {
-        score: 50,
-        isSignal: false,
-        reason: 'All agents failed',
-        confidence: 'multi-agent',
-        agentScores: {}
-      };
+    if (scored.length === 0) {
+      const failures = Object.entries(results)
+        .filter(([, result]) => result.error)
+        .map(([name, result]) => `${name}: ${result.error}`);
+      const error = new Error(`All agents failed${failures.length ? ` (${failures.join('; ')})` : ''}`);
+      // Surface the content agent's error code so bad output still maps to 502
+      error.code = results.content?.code;
+      throw error;
     }
-    
-    // AGGRESSIVE FILTERING - if ANY agent detects noise (score < 30), it's noise
-    const minScore = Math.min(...validResults.map(r => r.score));
+
     const agentScores = {};
-    
-    // Build agent scores object
-    for (const [agentName, result] of Object.entries(results)) {
-      if (result && result.score !== undefined) {
-        agentScores[agentName] = {
+    for (const [name, result] of Object.entries(results)) {
+      agentScores[name] = typeof result.score === 'number'
+        ? {
           score: result.score,
           reason: result.reason,
-          confidence: result.confidence
-        };
-      }
-    }
-    
-    // If ANY agent says it's noise (score < 30), mark as noise
-    if (minScore < 30) {
-      // Find which agent(s) flagged it as noise
-      const noiseReasons = [];
-      if (results.account?.score < 30) noiseReasons.push(`Account: ${results.account.reason}`);
-      if (results.content?.score < 30) noiseReasons.push(`Content: ${results.content.reason}`);
-      if (results.media?.score < 30) noiseReasons.push(`Media: ${results.media.reason}`);
-      
-      return {
-        score: minScore,
-        isSignal: false,
-        reason: noiseReasons.join('; ') || 'Detected as noise content',
-        confidence: 'multi-agent',
-        agentScores,
-        agentCount: validResults.length
-      };
+          confidence: result.confidence,
+          weight: config.agents[name].weight,
+          model: result.model,
+          latency: result.latency
+        }
+        : { skipped: !!result.skipped, error: result.error };
     }
-    
-    // Otherwise, use weighted average for signal content
-    let totalWeight = 0;
-    let weightedSum = 0;
-    
-    for (const result of validResults) {
-      const weight = result.confidence || 0.5;
-      weightedSum += result.score * weight;
-      totalWeight += weight;
+
+    const label = name => name.charAt(0).toUpperCase() + name.slice(1);
+    let contributors = scored;
+    let score;
+
+    if (config.aggregation === 'max') {
+      const best = scored.reduce((top, entry) => (entry[1].score > top[1].score ? entry : top));
+      contributors = [best];
+      score = best[1].score;
+    } else {
+      const vetoes = scored.filter(([, result]) => result.score < config.vetoThreshold);
+
+      if (config.aggregation === 'veto-on-noise' && vetoes.length > 0) {
+        contributors = vetoes;
+        score = Math.min(...vetoes.map(([, result]) => result.score));
+      } else {
+        let totalWeight = 0;
+        let weightedSum = 0;
+
+        for (const [name, result] of scored) {
+          const weight = config.agents[name].weight * (result.confidence || 0.5);
+          weightedSum += result.score * weight;
+          totalWeight += weight;
+        }
+
+        // All weights zero: fall back to a plain mean
+        score = Math.round(totalWeight > 0
+          ? weightedSum / totalWeight
+          : scored.reduce((sum, [, result]) => sum + result.score, 0) / scored.length);
+      }
     }
-    
-    const finalScore = Math.round(weightedSum / totalWeight);
-    
-    // Use stricter threshold: 80+ is signal (since we're focused on tech content)
-    const threshold = 20; // This means score >= 80 is signal
-    
-    // Generate combined reason for signal content
-    const reasons = [];
-    if (results.account?.reason) reasons.push(`Account: ${results.account.reason}`);
-    if (results.content?.reason) reasons.push(`Content: ${results.content.reason}`);
-    if (results.media?.reason) reasons.push(`Media: ${results.media.reason}`);
-    
+
+    const threshold = userPreferences.threshold || DEFAULT_THRESHOLD;
+    const confidence = contributors.reduce((sum, [, result]) => sum + result.confidence, 0) / contributors.length;
+
     return {
-      score: finalScore,
-      isSignal: finalScore >= (100 - threshold), // Score >= 80 is signal
-      reason: reasons.join('; '),
-      confidence: 'multi-agent',
+      score,
+      isSignal: score >= threshold,
+      category: this.categorize(score, threshold),
+      reason: contributors.map(([name, result]) => `${label(name)}: ${result.reason}`).join('; '),
+      confidence: Math.round(confidence * 100) / 100,
       agentScores,
-      agentCount: validResults.length
+      agentCount: scored.length,
+      aggregation: config.aggregation
     };
   }
-  */
 }
 
 export default OllamaClient;
\ No newline at end of file
@@ -0,0 +1,154 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const DEFAULT_TEMPLATES_DIR = fileURLToPath(new URL('./prompts', import.meta.url));
+const DEFAULT_TEMPLATE = 'default';
+const OPTIONAL_PROMPTS = ['batch', 'account', 'media', 'vision'];
+const LOCALIZED_PROMPT = /^analysis\.([a-z]{2})\.txt$/;
+
+// Prompt templates live on disk as one directory per template:
+//
+//   prompts/<name>/template.json   { "version": 1, "description": "..." }
+//   prompts/<name>/analysis.txt    single tweet prompt
+//   prompts/<name>/batch.txt       batch prompt            \
+//   prompts/<name>/account.txt     multi-agent author prompt  } optional, fall back to default
+//   prompts/<name>/media.txt       multi-agent media prompt  /
+//   prompts/<name>/vision.txt      image tweet prompt       /
+//   prompts/<name>/analysis.<lang>.txt   optional single tweet prompt written
+//                                        in that language, e.g. analysis.ja.txt
+//
+// Files are re-read whenever their mtime changes, so edits take effect on the
+// next request without restarting the server.
+class PromptTemplateStore {
+  constructor(directory = process.env.PROMPTS_DIR || DEFAULT_TEMPLATES_DIR) {
+    this.directory = directory;
+    this.cache = new Map(); // name -> { mtime, template }
+  }
+
+  list() {
+    let names = [];
+    try {
+      names = fs.readdirSync(this.directory, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+    } catch (error) {
+      logger.logError('Listing prompt templates', error);
+    }
+
+    return names
+      .map(name => this.load(name))
+      .filter(Boolean)
+      .map(({ name, version, description, languages }) => ({ name, version, description, languages }));
+  }
+
+  // Text of one prompt kind from the named template, using the default
+  // template's version when the named one doesn't define it
+  getPrompt(template, kind) {
+    return template[kind] || this.get(DEFAULT_TEMPLATE)[kind];
+  }
+
+  // The template's prompt written in the tweet's language, or null. Unlike
+  // getPrompt there's no fallback to the default template's translations,
+  // since a custom template's rubric may differ.
+  getLocalizedPrompt(template, language) {
+    return template.localized?.[language] || null;
+  }
+
+  // Returns the named template, or the default one when the name is unknown
+  get(name = DEFAULT_TEMPLATE) {
+    const template = this.load(name || DEFAULT_TEMPLATE);
+    if (template) {
+      return template;
+    }
+
+    if (name && name !== DEFAULT_TEMPLATE) {
+      logger.debug(`Unknown prompt template "${name}", using ${DEFAULT_TEMPLATE}`);
+      return this.get(DEFAULT_TEMPLATE);
+    }
+
+    throw new Error(`Default prompt template not found in ${this.directory}`);
+  }
+
+  load(name) {
+    // Template names map straight onto directories, so keep them to a safe charset
+    if (!/^[\w-]+$/.test(name)) {
+      return null;
+    }
+
+    const dir = path.join(this.directory, name);
+    const mtime = this.latestMtime(dir);
+    if (mtime === null) {
+      return null;
+    }
+
+    const cached = this.cache.get(name);
+    if (cached && cached.mtime === mtime) {
+      return cached.template;
+    }
+
+    try {
+      const meta = JSON.parse(fs.readFileSync(path.join(dir, 'template.json'), 'utf8'));
+      const prompts = { analysis: fs.readFileSync(path.join(dir, 'analysis.txt'), 'utf8') };
+      for (const kind of OPTIONAL_PROMPTS) {
+        const promptPath = path.join(dir, `${kind}.txt`);
+        prompts[kind] = fs.existsSync(promptPath) ? fs.readFileSync(promptPath, 'utf8') : null;
+      }
+      const localized = {};
+      for (const file of fs.readdirSync(dir).sort()) {
+        const match = file.match(LOCALIZED_PROMPT);
+        if (match) {
+          localized[match[1]] = fs.readFileSync(path.join(dir, file), 'utf8');
+        }
+      }
+
+      // The hash catches edits made without bumping the declared version, so
+      // results can always be traced to the exact prompt text that produced them
+      const hash = crypto.createHash('sha1');
+      for (const text of Object.values(prompts)) {
+        hash.update(text || '');
+      }
+      for (const [language, text] of Object.entries(localized)) {
+        hash.update(`${language}:${text}`);
+      }
+
+      const template = {
+        name,
+        version: `${meta.version || 1}-${hash.digest('hex').substring(0, 8)}`,
+        description: meta.description || '',
+        ...prompts,
+        localized,
+        languages: Object.keys(localized)
+      };
+
+      this.cache.set(name, { mtime, template });
+      return template;
+    } catch (error) {
+      logger.logError(`Loading prompt template "${name}"`, error);
+      return null;
+    }
+  }
+
+  latestMtime(dir) {
+    try {
+      return fs.readdirSync(dir)
+        .map(file => fs.statSync(path.join(dir, file)).mtimeMs)
+        .reduce((latest, mtime) => Math.max(latest, mtime), 0);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Replaces {{name}} placeholders; unknown placeholders are left in place so
+  // a typo in a template is visible in the prompt log instead of silently empty
+  render(text, variables = {}) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+      Object.prototype.hasOwnProperty.call(variables, key) ? String(variables[key]) : match
+    );
+  }
+}
+
+export default PromptTemplateStore;
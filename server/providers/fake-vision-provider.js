@@ -0,0 +1,42 @@
+// Stand-in for a multimodal model, for tests and for trying the image path
+// without pulling llava. It never looks at the pixels: the score comes from
+// the images' alt text and the tweet text, so results are deterministic.
+// Selected by naming FAKE_VISION_MODEL as the vision model.
+export const FAKE_VISION_MODEL = 'fake-vision';
+
+const SIGNAL_WORDS = ['code', 'chart', 'graph', 'diagram', 'benchmark', 'paper', 'table', 'architecture', 'terminal', 'screenshot'];
+const NOISE_WORDS = ['meme', 'selfie', 'reaction', 'giveaway', 'lol'];
+
+class FakeVisionProvider {
+  constructor() {
+    this.name = 'fake';
+    this.defaultModel = FAKE_VISION_MODEL;
+  }
+
+  async generateCompletion(prompt, options = {}) {
+    const images = options.images || [];
+    if (images.length === 0) {
+      throw new Error('Fake vision model needs at least one image');
+    }
+
+    // Only what describes this tweet counts, not the rubric around it
+    const tweet = prompt.match(/Tweet: "([^"]*)"/);
+    const text = [...images.map(image => image.alt || ''), tweet ? tweet[1] : ''].join(' ').toLowerCase();
+    const signal = SIGNAL_WORDS.filter(word => text.includes(word));
+    const noise = NOISE_WORDS.filter(word => text.includes(word));
+
+    let score = 50;
+    let reason = `${images.length} image(s), nothing recognisable`;
+    if (signal.length > noise.length) {
+      score = 85;
+      reason = `Image shows ${signal[0]}`;
+    } else if (noise.length > 0) {
+      score = 15;
+      reason = `Looks like noise: ${noise[0]}`;
+    }
+
+    return JSON.stringify({ score, reason, confidence: 0.8 });
+  }
+}
+
+export default FakeVisionProvider;
@@ -0,0 +1,36 @@
+import OllamaProvider from './ollama-provider.js';
+import OpenAIProvider from './openai-provider.js';
+import FakeVisionProvider, { FAKE_VISION_MODEL } from './fake-vision-provider.js';
+
+// Every provider implements the same interface:
+//   name                                 identifier reported by /health
+//   defaultModel                         model used when a request names none
+//   checkHealth()                        -> boolean
+//   listModels()                         -> [{ name, size, modified_at }]
+//   generateCompletion(prompt, options)  -> raw response text; options.format
+//                                           is a JSON schema the reply must follow,
+//                                           options.images [{ data (base64),
+//                                           mimeType }] go to multimodal models
+//   generateWithStats(prompt, options)   -> { response, stats: { outputTokens,
+//                                           generationMs, loadMs } }, null where
+//                                           the backend doesn't report them
+//   unload(model)                        optional; evicts the model from memory
+//   defaultEmbeddingModel               model used by embed() when none is named
+//   embed(text, model)                   -> embedding vector (array of numbers)
+//
+// Selected with LLM_PROVIDER (ollama | openai) and LLM_HOST; OLLAMA_HOST is
+// still honoured for the Ollama provider.
+export function createProvider(config = {}) {
+  const type = config.provider || process.env.LLM_PROVIDER || 'ollama';
+
+  switch (type) {
+    case 'ollama':
+      return new OllamaProvider(config.host || process.env.LLM_HOST || process.env.OLLAMA_HOST || undefined);
+    case 'openai':
+      return new OpenAIProvider(config.host || process.env.LLM_HOST || undefined, config.apiKey || process.env.LLM_API_KEY || '');
+    default:
+      throw new Error(`Unknown LLM provider "${type}" (expected "ollama" or "openai")`);
+  }
+}
+
+export { OllamaProvider, OpenAIProvider, FakeVisionProvider, FAKE_VISION_MODEL };
@@ -0,0 +1,129 @@
+import fetch from 'node-fetch';
+import logger from '../logger.js';
+
+// Ollama's native API (/api/tags, /api/generate, /api/embeddings)
+class OllamaProvider {
+  constructor(host = 'http://localhost:11434') {
+    this.name = 'ollama';
+    this.host = host;
+    this.defaultModel = 'llama3.2:3b'; // Using Llama 3.2 for better JSON compliance
+    this.defaultEmbeddingModel = 'nomic-embed-text';
+  }
+
+  async checkHealth() {
+    try {
+      const response = await fetch(`${this.host}/api/tags`);
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async listModels() {
+    try {
+      const response = await fetch(`${this.host}/api/tags`);
+      const data = await response.json();
+      return data.models || [];
+    } catch (error) {
+      logger.logError('Listing models', error);
+      return [];
+    }
+  }
+
+  async generateCompletion(prompt, options = {}) {
+    return (await this.generateWithStats(prompt, options)).response;
+  }
+
+  // Like generateCompletion, plus Ollama's timings for benchmarks: tokens
+  // generated, time spent generating them and time spent loading the model
+  async generateWithStats(prompt, options = {}) {
+    const body = {
+      model: options.model || this.defaultModel,
+      prompt: prompt,
+      stream: false,
+      options: {
+        temperature: options.temperature || 0.3,
+        top_p: options.top_p || 0.9,
+        num_predict: options.max_tokens || 150,
+      }
+    };
+
+    // JSON schema the output must follow (structured outputs)
+    if (options.format) {
+      body.format = options.format;
+    }
+
+    if (options.images?.length) {
+      body.images = options.images.map(image => image.data);
+    }
+
+    try {
+      const response = await fetch(`${this.host}/api/generate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ollama API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return {
+        response: data.response,
+        stats: {
+          outputTokens: data.eval_count ?? null,
+          generationMs: data.eval_duration !== undefined ? data.eval_duration / 1e6 : null,
+          loadMs: data.load_duration !== undefined ? data.load_duration / 1e6 : null
+        }
+      };
+    } catch (error) {
+      logger.logError('Generating completion', error);
+      throw error;
+    }
+  }
+
+  // Evicts the model from memory so the next request has to load it again
+  async unload(model) {
+    const response = await fetch(`${this.host}/api/generate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ model, keep_alive: 0 }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama API error: ${response.status}`);
+    }
+  }
+
+  async embed(text, model = this.defaultEmbeddingModel) {
+    try {
+      const response = await fetch(`${this.host}/api/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ model, prompt: text }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ollama API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+        throw new Error(`Model "${model}" returned no embedding`);
+      }
+      return data.embedding;
+    } catch (error) {
+      logger.logError('Generating embedding', error);
+      throw error;
+    }
+  }
+}
+
+export default OllamaProvider;
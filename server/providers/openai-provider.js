@@ -0,0 +1,136 @@
+import fetch from 'node-fetch';
+import logger from '../logger.js';
+
+// Any server speaking the OpenAI chat completions API: llama.cpp server,
+// LM Studio, vLLM, LocalAI, ...
+class OpenAIProvider {
+  constructor(host = 'http://localhost:8080', apiKey = '') {
+    this.name = 'openai';
+    this.host = host.replace(/\/+$/, '').replace(/\/v1$/, '');
+    this.apiKey = apiKey;
+    // llama.cpp serves whatever model it was started with regardless of this
+    // value; LM Studio and vLLM expect one of the IDs from /v1/models
+    this.defaultModel = 'default';
+    this.defaultEmbeddingModel = 'default';
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async checkHealth() {
+    try {
+      const response = await fetch(`${this.host}/v1/models`, { headers: this.headers() });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Shaped like Ollama's /api/tags entries so callers don't need to care
+  async listModels() {
+    try {
+      const response = await fetch(`${this.host}/v1/models`, { headers: this.headers() });
+      const data = await response.json();
+      return (data.data || []).map(model => ({
+        name: model.id,
+        size: null,
+        modified_at: model.created ? new Date(model.created * 1000).toISOString() : null
+      }));
+    } catch (error) {
+      logger.logError('Listing models', error);
+      return [];
+    }
+  }
+
+  async generateCompletion(prompt, options = {}) {
+    return (await this.generateWithStats(prompt, options)).response;
+  }
+
+  // Only the token count is reported; these servers don't expose timings or
+  // a way to unload models
+  async generateWithStats(prompt, options = {}) {
+    const body = {
+      model: options.model || this.defaultModel,
+      messages: [{ role: 'user', content: this.buildContent(prompt, options.images) }],
+      stream: false,
+      temperature: options.temperature || 0.3,
+      top_p: options.top_p || 0.9,
+      max_tokens: options.max_tokens || 150
+    };
+
+    if (options.format) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'analysis', schema: options.format }
+      };
+    }
+
+    try {
+      const response = await fetch(`${this.host}/v1/chat/completions`, {
+        method: 'POST',
+        headers: this.headers(),
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI-compatible API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return {
+        response: data.choices?.[0]?.message?.content || '',
+        stats: {
+          outputTokens: data.usage?.completion_tokens ?? null,
+          generationMs: null,
+          loadMs: null
+        }
+      };
+    } catch (error) {
+      logger.logError('Generating completion', error);
+      throw error;
+    }
+  }
+
+  // Images are sent as data URLs alongside the prompt
+  buildContent(prompt, images = []) {
+    if (!images?.length) return prompt;
+    return [
+      { type: 'text', text: prompt },
+      ...images.map(image => ({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+      }))
+    ];
+  }
+
+  async embed(text, model = this.defaultEmbeddingModel) {
+    try {
+      const response = await fetch(`${this.host}/v1/embeddings`, {
+        method: 'POST',
+        headers: this.headers(),
+        body: JSON.stringify({ model, input: text }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI-compatible API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const embedding = data.data?.[0]?.embedding;
+      if (!Array.isArray(embedding) || embedding.length === 0) {
+        throw new Error(`Model "${model}" returned no embedding`);
+      }
+      return embedding;
+    } catch (error) {
+      logger.logError('Generating embedding', error);
+      throw error;
+    }
+  }
+}
+
+export default OpenAIProvider;
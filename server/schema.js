@@ -0,0 +1,80 @@
+// JSON schemas for structured model output, plus a small validator covering
+// the subset of JSON Schema they use (type, properties, required, items,
+// minimum, maximum). Backends that honour `format` / `response_format` should
+// never fail validation; the check is for those that ignore it.
+
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'integer', minimum: 0, maximum: 100 },
+    reason: { type: 'string' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  },
+  required: ['score', 'reason', 'confidence']
+};
+
+export const BATCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          i: { type: 'integer', minimum: 1 },
+          s: { type: 'integer', minimum: 0, maximum: 100 },
+          r: { type: 'string' }
+        },
+        required: ['i', 's', 'r']
+      }
+    }
+  },
+  required: ['results']
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Returns a list of human-readable problems; empty when the value is valid
+export function validate(value, schema, path = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+  const typeMatches = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+
+  if (!typeMatches) {
+    errors.push(`${path}: expected ${schema.type}, got ${actual}`);
+    return errors;
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: ${value} is below minimum ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path}: ${value} is above maximum ${schema.maximum}`);
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key}: missing required property`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        errors.push(...validate(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
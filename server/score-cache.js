@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const DEFAULT_CACHE_FILE = fileURLToPath(new URL('./data/score-cache.json', import.meta.url));
+
+// Persistent tweet score cache. Keys combine the tweet identity (status ID,
+// or a hash of the normalized text) with everything that can change a score:
+// model, prompt template version and user preferences. Changing any of those
+// produces a new key, so stale entries simply stop matching and age out.
+class ScoreCache {
+  constructor(filePath = process.env.SCORE_CACHE_FILE || DEFAULT_CACHE_FILE, options = {}) {
+    this.filePath = filePath;
+    this.maxEntries = options.maxEntries || parseInt(process.env.SCORE_CACHE_MAX || '10000');
+    this.ttl = options.ttl || 30 * 24 * 3600000; // 30 days
+    this.saveDelay = options.saveDelay || 5000;
+    this.entries = new Map(); // key -> { result, timestamp }, oldest first
+    this.saveTimer = null;
+    this.hits = 0;
+    this.misses = 0;
+
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      Object.entries(data.entries || {})
+        .filter(([, entry]) => now - entry.timestamp < this.ttl)
+        .sort((a, b) => a[1].timestamp - b[1].timestamp)
+        .forEach(([key, entry]) => this.entries.set(key, entry));
+
+      logger.info(`Score cache loaded: ${this.entries.size} entries`);
+    } catch (error) {
+      logger.logError('Loading score cache', error);
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ entries: Object.fromEntries(this.entries) }));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.logError('Saving score cache', error);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelay);
+    // Don't keep the process alive just to flush the cache
+    this.saveTimer.unref?.();
+  }
+
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.save();
+  }
+
+  static hash(value) {
+    return crypto.createHash('sha1').update(value).digest('hex');
+  }
+
+  static normalizeText(text = '') {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // tweet: { id?, text }, context: { model, templateVersion, userPreferences, variant? }
+  // variant separates scores from other analysis modes, e.g. the multi-agent pipeline
+  static buildKey(tweet, { model, templateVersion, userPreferences = {}, variant = '' }) {
+    const identity = tweet.id
+      ? `id:${tweet.id}`
+      : `text:${ScoreCache.hash(ScoreCache.normalizeText(tweet.text))}`;
+
+    const preferences = JSON.stringify([
+      userPreferences.interests || [],
+      userPreferences.signalPatterns || [],
+      userPreferences.noisePatterns || [],
+      userPreferences.threshold || 30
+    ]);
+
+    const parts = [identity, model, templateVersion, preferences];
+    if (variant) parts.push(variant);
+
+    return ScoreCache.hash(parts.join('|'));
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || Date.now() - entry.timestamp >= this.ttl) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    return entry.result;
+  }
+
+  set(key, result) {
+    // Re-insert so the Map stays ordered oldest to newest
+    this.entries.delete(key);
+    this.entries.set(key, { result, timestamp: Date.now() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.scheduleSave();
+  }
+
+  clear() {
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+    this.flush();
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 100) : 0
+    };
+  }
+}
+
+export default ScoreCache;
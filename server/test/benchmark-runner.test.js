@@ -0,0 +1,146 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import OllamaClient from '../ollama-client.js';
+import { benchmarkModel, recommendModel, DEFAULT_LATENCY_BUDGET } from '../benchmark-runner.js';
+import MockOllama from './mock-ollama.js';
+
+const mock = new MockOllama();
+let client;
+
+before(async () => {
+  await mock.start();
+});
+
+after(async () => {
+  await mock.stop();
+});
+
+beforeEach(() => {
+  mock.reset();
+  client = new OllamaClient(mock.url);
+});
+
+const tweets = [
+  { id: '1', label: 'signal', text: 'Profiling notes on the new allocator #score:85' },
+  { id: '2', label: 'signal', text: 'Postmortem with a full timeline #score:90' },
+  { id: '3', label: 'noise', text: 'gm #score:10' },
+  { id: '4', label: 'noise', text: 'Follow for follow #score:70' }
+];
+
+// A benchmarkModel result with only the fields recommendModel reads
+function result(model, { accuracy = 0.9, compliance = 1, p50 = 500, p95 = 1000 } = {}) {
+  return { model, single: { compliance, latency: { p50, p95 } }, agreement: { accuracy } };
+}
+
+test('recommendModel picks the most accurate reliable model', () => {
+  const recommendation = recommendModel([
+    result('small', { accuracy: 0.8, p50: 200 }),
+    result('large', { accuracy: 0.95, p50: 900 })
+  ]);
+
+  assert.equal(recommendation.model, 'large');
+  assert.match(recommendation.reason, /95% agreement/);
+});
+
+test('recommendModel prefers the faster of models within the agreement tolerance', () => {
+  const recommendation = recommendModel([
+    result('slow', { accuracy: 0.92, p50: 900 }),
+    result('fast', { accuracy: 0.91, p50: 300 }),
+    result('worse', { accuracy: 0.8, p50: 100 })
+  ]);
+
+  assert.equal(recommendation.model, 'fast');
+  assert.match(recommendation.reason, /fastest of the 2 models/);
+});
+
+test('recommendModel keeps the listed order on a full tie', () => {
+  const recommendation = recommendModel([
+    result('first', { accuracy: 0.9, p50: 400 }),
+    result('second', { accuracy: 0.9, p50: 400 })
+  ]);
+
+  assert.equal(recommendation.model, 'first');
+});
+
+test('recommendModel skips failed and unreliable models', () => {
+  const recommendation = recommendModel([
+    { model: 'crashed', error: 'Ollama API error: 500' },
+    result('sloppy', { accuracy: 1, compliance: 0.5 }),
+    result('steady', { accuracy: 0.7 })
+  ]);
+
+  assert.equal(recommendation.model, 'steady');
+});
+
+test('recommendModel falls back to the most accurate model when none is fast enough', () => {
+  const recommendation = recommendModel([
+    result('slow', { accuracy: 0.9, p95: DEFAULT_LATENCY_BUDGET + 1 }),
+    result('slower', { accuracy: 0.8, p95: DEFAULT_LATENCY_BUDGET * 2 })
+  ]);
+
+  assert.equal(recommendation.model, 'slow');
+  assert.match(recommendation.reason, /no model stayed under the 3000ms p95 budget/);
+});
+
+test('recommendModel prefers models within the latency budget', () => {
+  const recommendation = recommendModel([
+    result('accurate', { accuracy: 0.95, p95: 5000 }),
+    result('quick', { accuracy: 0.85, p95: 800 })
+  ], 1000);
+
+  assert.equal(recommendation.model, 'quick');
+});
+
+test('recommendModel recommends nothing when every model fails', () => {
+  const recommendation = recommendModel([
+    { model: 'crashed', error: 'Ollama API error: 500' },
+    result('sloppy', { compliance: 0.5 })
+  ]);
+
+  assert.equal(recommendation.model, null);
+  assert.match(recommendation.reason, /90%/);
+});
+
+test('generateWithStats reports Ollama token counts and timings', async () => {
+  const first = await client.provider.generateWithStats('Timed tweet #score:60', { model: 'llama3.2:3b' });
+  const second = await client.provider.generateWithStats('Timed tweet #score:60', { model: 'llama3.2:3b' });
+
+  const tokens = Math.ceil(first.response.length / 4);
+  assert.equal(first.stats.outputTokens, tokens);
+  assert.equal(first.stats.generationMs, tokens * 20);
+  assert.equal(first.stats.loadMs, MockOllama.LOAD_MS, 'the first request loads the model');
+  assert.equal(second.stats.loadMs, 1);
+});
+
+test('unload makes the next request load the model again', async () => {
+  await client.provider.generateWithStats('Warm up', { model: 'qwen2.5:7b' });
+  await client.provider.unload('qwen2.5:7b');
+  const { stats } = await client.provider.generateWithStats('After unload', { model: 'qwen2.5:7b' });
+
+  assert.equal(stats.loadMs, MockOllama.LOAD_MS);
+  assert.deepEqual(mock.calls('/api/generate')[1].body, { model: 'qwen2.5:7b', keep_alive: 0 });
+});
+
+test('benchmarkModel measures cold start, speed, compliance and agreement', async () => {
+  const report = await benchmarkModel(client, 'llama3.2:3b', tweets, { threshold: 30, batchSize: 2 });
+
+  assert.equal(report.coldStart.unloaded, true);
+  assert.equal(report.coldStart.loadMs, MockOllama.LOAD_MS);
+  assert.equal(Math.round(report.tokensPerSecond), 50, 'the mock generates 50 tokens a second');
+  assert.equal(report.single.requests, 4);
+  assert.equal(report.single.compliance, 1);
+  assert.equal(typeof report.single.latency.p95, 'number');
+  assert.equal(report.batch.requests, 2);
+  assert.equal(report.batch.compliance, 1);
+  assert.deepEqual(report.agreement, { scored: 4, accuracy: 0.75, f1: 0.8 });
+});
+
+test('benchmarkModel counts malformed replies against compliance', async () => {
+  mock.script({ model: 'qwen2.5:7b', match: 'gm', response: 'Not JSON at all' });
+  const report = await benchmarkModel(client, 'qwen2.5:7b', tweets, { threshold: 30, batchSize: 4 });
+
+  assert.equal(report.single.compliance, 3 / 4);
+  assert.equal(report.single.errors, 0);
+  assert.equal(report.agreement.scored, 3);
+  assert.equal(report.batch.compliance, 0);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { confusionMatrix, classificationMetrics, calibration, percentiles, summarize } from '../eval-metrics.js';
+
+const predict = (label, isSignal, score = isSignal ? 80 : 20) => ({ label, isSignal, score, latency: 100 });
+
+// 3 true positives, 1 false positive, 4 true negatives, 2 false negatives and
+// one failed request
+const predictions = [
+  predict('signal', true), predict('signal', true), predict('signal', true),
+  predict('noise', true),
+  predict('noise', false), predict('noise', false), predict('noise', false), predict('noise', false),
+  predict('signal', false), predict('signal', false),
+  { label: 'signal', error: 'Analysis failed' }
+];
+
+test('confusionMatrix counts each outcome and skips errors', () => {
+  assert.deepEqual(confusionMatrix(predictions), { tp: 3, fp: 1, tn: 4, fn: 2 });
+  assert.deepEqual(confusionMatrix([]), { tp: 0, fp: 0, tn: 0, fn: 0 });
+});
+
+test('classificationMetrics computes precision, recall and F1 for both classes', () => {
+  const metrics = classificationMetrics({ tp: 3, fp: 1, tn: 4, fn: 2 });
+
+  assert.equal(metrics.precision, 3 / 4);
+  assert.equal(metrics.recall, 3 / 5);
+  assert.equal(metrics.f1, 2 * 0.75 * 0.6 / (0.75 + 0.6));
+  assert.equal(metrics.accuracy, 7 / 10);
+  assert.equal(metrics.noisePrecision, 4 / 6);
+  assert.equal(metrics.noiseRecall, 4 / 5);
+});
+
+test('classificationMetrics reports zero instead of NaN for missing classes', () => {
+  const metrics = classificationMetrics({ tp: 0, fp: 0, tn: 5, fn: 0 });
+
+  assert.equal(metrics.precision, 0);
+  assert.equal(metrics.recall, 0);
+  assert.equal(metrics.f1, 0);
+  assert.equal(metrics.accuracy, 1);
+  assert.equal(classificationMetrics({ tp: 0, fp: 0, tn: 0, fn: 0 }).accuracy, 0);
+});
+
+test('calibration buckets scores and measures the gap to the real signal rate', () => {
+  const result = calibration([
+    { label: 'signal', score: 90 },
+    { label: 'noise', score: 90 },
+    { label: 'noise', score: 10 },
+    { label: 'noise', score: 100 },
+    { label: 'signal', error: 'failed' }
+  ]);
+
+  const top = result.buckets[9];
+  assert.equal(top.count, 3, 'a score of 100 falls in the last bucket');
+  assert.equal(top.meanScore, (90 + 90 + 100) / 3);
+  assert.equal(top.signalRate, 1 / 3);
+  assert.equal(result.buckets[1].count, 1);
+  assert.ok(Math.abs(result.brier - (0.01 + 0.81 + 0.01 + 1) / 4) < 1e-9);
+  assert.ok(Math.abs(result.ece - (3 / 4 * Math.abs(280 / 300 - 1 / 3) + 1 / 4 * 0.1)) < 1e-9);
+});
+
+test('percentiles use the nearest rank', () => {
+  const values = Array.from({ length: 10 }, (_, i) => (i + 1) * 10);
+
+  assert.deepEqual(percentiles(values), { p50: 50, p90: 90, p95: 100, p99: 100 });
+  assert.deepEqual(percentiles([NaN, 7]), { p50: 7, p90: 7, p95: 7, p99: 7 });
+  assert.deepEqual(percentiles([]), { p50: null, p90: null, p95: null, p99: null });
+});
+
+test('summarize counts errors separately from the confusion matrix', () => {
+  const summary = summarize(predictions);
+
+  assert.equal(summary.total, 11);
+  assert.equal(summary.errors, 1);
+  assert.deepEqual(summary.confusion, { tp: 3, fp: 1, tn: 4, fn: 2 });
+  assert.equal(summary.precision, 0.75);
+  assert.equal(summary.latency.p50, 100);
+});
@@ -0,0 +1,223 @@
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+// Stand-in for Ollama's HTTP API (/api/tags, /api/generate, /api/embeddings)
+// with deterministic answers, so the server and OllamaClient can be tested
+// without a model installed.
+//
+// Tweets steer their own answers with markers in the text:
+//   #score:85    score the tweet 85 (otherwise DEFAULT_SCORE)
+//   #malformed   reply with text that isn't JSON
+//   #slow:300    wait 300ms before replying
+//   #error:500   fail with that HTTP status
+// A batch prompt gets one result per tweet, each with its own #score.
+// Replies carry Ollama's timing fields; a model's first reply after start
+// or after an unload (keep_alive: 0) includes a LOAD_MS load time.
+// Tests that need something the markers can't express add a rule with
+// script().
+//
+// Standalone: node test/mock-ollama.js [port]
+class MockOllama {
+  static DEFAULT_MODELS = ['llama3.2:3b', 'qwen2.5:7b', 'nomic-embed-text'];
+  static DEFAULT_SCORE = 50;
+  static EMBEDDING_SIZE = 64;
+  static LOAD_MS = 500;
+
+  constructor(options = {}) {
+    this.models = options.models || MockOllama.DEFAULT_MODELS;
+    this.rules = [];
+    this.requests = [];
+    this.loaded = new Set();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start(port = 0) {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  // rule: { match: string | RegExp | (body) => boolean, path?, model?,
+  //         response?: object | string, status?, delay?, times? }
+  // Matches are tried against the prompt (or embedding text) before the
+  // markers; a rule with `times` is dropped after that many uses.
+  script(rule) {
+    this.rules.push({ path: '/api/generate', ...rule });
+    return this;
+  }
+
+  reset() {
+    this.rules = [];
+    this.requests = [];
+    this.loaded.clear();
+  }
+
+  // Requests received so far, optionally only those to one path
+  calls(path) {
+    return path ? this.requests.filter(request => request.path === path) : this.requests;
+  }
+
+  async handle(req, res) {
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+    }
+    let body = {};
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      return this.send(res, 400, { error: 'invalid JSON body' });
+    }
+    const path = req.url.split('?')[0];
+    this.requests.push({ method: req.method, path, body });
+
+    if (path === '/api/tags') {
+      return this.send(res, 200, {
+        models: this.models.map(name => ({ name, size: 1000000, modified_at: '2024-01-01T00:00:00Z' }))
+      });
+    }
+    if (path !== '/api/generate' && path !== '/api/embeddings') {
+      return this.send(res, 404, { error: 'not found' });
+    }
+
+    const text = String(body.prompt || '');
+    if (!this.models.includes(body.model)) {
+      return this.send(res, 404, { error: `model "${body.model}" not found, try pulling it first` });
+    }
+
+    if (path === '/api/generate' && body.keep_alive === 0 && !body.prompt) {
+      this.loaded.delete(body.model);
+      return this.send(res, 200, { model: body.model, response: '', done: true, done_reason: 'unload' });
+    }
+
+    const rule = this.findRule(path, body, text);
+    if (rule) {
+      if (rule.delay) await sleep(rule.delay);
+      if (rule.status && rule.status >= 400) {
+        return this.send(res, rule.status, { error: 'scripted failure' });
+      }
+      if (path === '/api/embeddings') {
+        return this.send(res, rule.status || 200, { embedding: rule.response ?? MockOllama.embed(text) });
+      }
+      const response = typeof rule.response === 'string' ? rule.response : JSON.stringify(rule.response);
+      return this.send(res, rule.status || 200, this.completion(body.model, response));
+    }
+
+    const markers = MockOllama.markers(text);
+    if (markers.slow) await sleep(markers.slow);
+    if (markers.error) {
+      return this.send(res, markers.error, { error: 'mock failure' });
+    }
+    if (path === '/api/embeddings') {
+      return this.send(res, 200, { embedding: MockOllama.embed(text) });
+    }
+    if (markers.malformed) {
+      return this.send(res, 200, this.completion(body.model, 'Sure! This tweet looks pretty good to me.'));
+    }
+
+    const batch = Boolean(body.format?.properties?.results);
+    const answer = batch ? MockOllama.batchAnswer(text) : MockOllama.answer(text);
+    return this.send(res, 200, this.completion(body.model, JSON.stringify(answer)));
+  }
+
+  // A /api/generate reply, with a token per four characters generated at
+  // 50 tokens a second
+  completion(model, response) {
+    const evalCount = Math.max(1, Math.ceil(response.length / 4));
+    const loadMs = this.loaded.has(model) ? 1 : MockOllama.LOAD_MS;
+    this.loaded.add(model);
+    return {
+      model,
+      response,
+      done: true,
+      eval_count: evalCount,
+      eval_duration: evalCount * 20 * 1e6,
+      load_duration: loadMs * 1e6
+    };
+  }
+
+  findRule(path, body, text) {
+    const index = this.rules.findIndex(rule => {
+      if (rule.path !== path) return false;
+      if (rule.model && rule.model !== body.model) return false;
+      if (typeof rule.match === 'function') return rule.match(body);
+      if (rule.match instanceof RegExp) return rule.match.test(text);
+      return !rule.match || text.includes(rule.match);
+    });
+    if (index === -1) return null;
+    const rule = this.rules[index];
+    if (rule.times !== undefined && --rule.times <= 0) {
+      this.rules.splice(index, 1);
+    }
+    return rule;
+  }
+
+  send(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  static markers(text) {
+    return {
+      score: parseMarker(text, /#score:(\d+)/),
+      slow: parseMarker(text, /#slow:(\d+)/),
+      error: parseMarker(text, /#error:(\d{3})/),
+      malformed: text.includes('#malformed')
+    };
+  }
+
+  static answer(text) {
+    const score = MockOllama.markers(text).score ?? MockOllama.DEFAULT_SCORE;
+    return { score, reason: `mock score ${score}`, confidence: 0.9 };
+  }
+
+  // Batch prompts list tweets as `1: "text"`, one per line
+  static batchAnswer(text) {
+    const tweets = [...text.matchAll(/^(\d+): "(.*)$/gm)];
+    return {
+      results: tweets.map(([, index, tweet]) => {
+        const score = MockOllama.markers(tweet).score ?? MockOllama.DEFAULT_SCORE;
+        return { i: parseInt(index), s: score, r: `mock score ${score}` };
+      })
+    };
+  }
+
+  // Bag of hashed words, so texts sharing words get similar vectors
+  static embed(text) {
+    const vector = new Array(MockOllama.EMBEDDING_SIZE).fill(0);
+    for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+      let hash = 0;
+      for (const char of word) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+      }
+      vector[hash % MockOllama.EMBEDDING_SIZE] += 1;
+    }
+    const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / length);
+  }
+}
+
+function parseMarker(text, pattern) {
+  const match = text.match(pattern);
+  return match ? parseInt(match[1]) : null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = new MockOllama();
+  const url = await mock.start(parseInt(process.argv[2] || '11435'));
+  console.log(`Mock Ollama listening on ${url} (models: ${mock.models.join(', ')})`);
+}
+
+export default MockOllama;
@@ -0,0 +1,156 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import OllamaClient from '../ollama-client.js';
+import MockOllama from './mock-ollama.js';
+
+const mock = new MockOllama();
+let client;
+
+before(async () => {
+  await mock.start();
+});
+
+after(async () => {
+  await mock.stop();
+});
+
+beforeEach(() => {
+  mock.reset();
+  client = new OllamaClient(mock.url);
+});
+
+test('reports health and installed models', async () => {
+  assert.equal(await client.checkHealth(), true);
+  const models = await client.listModels();
+  assert.deepEqual(models.map(model => model.name), MockOllama.DEFAULT_MODELS);
+});
+
+test('resolveModel rejects models that are not installed', async () => {
+  assert.equal(await client.resolveModel('qwen2.5:7b'), 'qwen2.5:7b');
+  await assert.rejects(client.resolveModel('mistral:7b'), error => {
+    assert.equal(error.code, 'MODEL_NOT_FOUND');
+    assert.deepEqual(error.availableModels, MockOllama.DEFAULT_MODELS);
+    return true;
+  });
+});
+
+test('analyzeContent scores a tweet against the threshold', async () => {
+  const result = await client.analyzeContent('Benchmarks for the new allocator #score:85', { threshold: 30, model: 'llama3.2:3b' });
+  assert.equal(result.score, 85);
+  assert.equal(result.isSignal, true);
+  assert.equal(result.category, 'high-signal');
+  assert.equal(result.model, 'llama3.2:3b');
+  assert.equal(result.template, 'default');
+
+  const request = mock.calls('/api/generate')[0].body;
+  assert.equal(request.model, 'llama3.2:3b');
+  assert.ok(request.format, 'sends the analysis schema');
+  assert.match(request.prompt, /Benchmarks for the new allocator/);
+});
+
+test('analyzeContent marks low scores as noise', async () => {
+  const result = await client.analyzeContent('ratio + L #score:12', { threshold: 30 });
+  assert.equal(result.isSignal, false);
+  assert.equal(result.category, 'noise');
+});
+
+test('malformed model output is an INVALID_MODEL_OUTPUT error', async () => {
+  await assert.rejects(client.analyzeContent('What a day #malformed', { threshold: 30 }), { code: 'INVALID_MODEL_OUTPUT' });
+});
+
+test('output that misses the schema is an INVALID_MODEL_OUTPUT error', async () => {
+  mock.script({ match: 'missing score', response: { reason: 'no score here', confidence: 0.5 } });
+  await assert.rejects(client.analyzeContent('missing score', { threshold: 30 }), { code: 'INVALID_MODEL_OUTPUT' });
+});
+
+test('JSON wrapped in prose is still parsed', async () => {
+  mock.script({ match: 'chatty model', response: 'Here you go: {"score": 64, "reason": "ok", "confidence": 0.7} Hope that helps!' });
+  const result = await client.analyzeContent('chatty model', { threshold: 30 });
+  assert.equal(result.score, 64);
+});
+
+test('server errors from Ollama are passed on', async () => {
+  await assert.rejects(client.analyzeContent('Down for maintenance #error:500', { threshold: 30 }), /Ollama API error: 500/);
+});
+
+test('slow responses still complete', async () => {
+  const startTime = Date.now();
+  const result = await client.analyzeContent('Thoughtful long read #slow:200 #score:70', { threshold: 30 });
+  assert.equal(result.score, 70);
+  assert.ok(Date.now() - startTime >= 200);
+});
+
+test('analyzeTweetBatch keeps results in tweet order', async () => {
+  const results = await client.analyzeTweetBatch([
+    { text: 'Release notes for v2 #score:90' },
+    { text: 'gm #score:5' },
+    { text: 'A thread on query planning #score:60' }
+  ], { threshold: 30, model: 'llama3.2:3b' });
+
+  assert.deepEqual(results.map(result => result.score), [90, 5, 60]);
+  assert.deepEqual(results.map(result => result.isSignal), [true, false, true]);
+  assert.equal(mock.calls('/api/generate').length, 1, 'one request for the whole batch');
+});
+
+test('analyzeTweetBatch flags tweets missing from the output', async () => {
+  mock.script({ match: 'partial batch', response: { results: [{ i: 1, s: 70, r: 'fine' }] } });
+  const results = await client.analyzeTweetBatch([{ text: 'partial batch' }, { text: 'second tweet' }], { threshold: 30 });
+  assert.equal(results[0].score, 70);
+  assert.equal(results[1].error, 'Missing from model output');
+});
+
+test('embeddings are deterministic and reflect shared words', async () => {
+  const first = await client.provider.embed('rust compiler internals');
+  const again = await client.provider.embed('rust compiler internals');
+  const other = await client.provider.embed('celebrity gossip today');
+  const similarity = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+  assert.deepEqual(first, again);
+  assert.ok(similarity(first, again) > similarity(first, other));
+});
+
+test('scripted rules apply a limited number of times', async () => {
+  mock.script({ match: 'flaky', status: 500, times: 1 });
+  await assert.rejects(client.analyzeContent('flaky #score:75', { threshold: 30 }), /500/);
+  const result = await client.analyzeContent('flaky #score:75', { threshold: 30 });
+  assert.equal(result.score, 75);
+});
+
+test('thread prompts include every member, down to the last reply', async () => {
+  const members = Array.from({ length: 8 }, (_, i) => `Part ${i + 1} of the thread. ${'Details about the design. '.repeat(20)}`);
+  members[7] = `Final reply with the conclusion LAST-MEMBER-MARKER. ${'More detail. '.repeat(40)}`;
+  const thread = client.normalizeThread(members);
+  const prompt = client.buildAnalysisPrompt(members.join('\n\n'), { threshold: 30 }, undefined, { thread });
+
+  assert.match(prompt, /8\/8 Final reply with the conclusion LAST-MEMBER-MARKER/);
+  assert.match(prompt, /1\/8 Part 1 of the thread/);
+});
+
+test('normalizeThread needs two or more non-empty members', () => {
+  assert.equal(client.normalizeThread(null), null);
+  assert.equal(client.normalizeThread(['only one']), null);
+  assert.deepEqual(client.normalizeThread(['  first\n tweet ', 42, '', 'second']), ['first tweet', 'second']);
+});
+
+const cascade = { fastModel: 'llama3.2:3b', strongModel: 'qwen2.5:7b' };
+
+test('a cascade escalates tweets near the default threshold when none is sent', async () => {
+  const result = await client.analyzeContent('Borderline take #score:35', { cascade });
+  assert.equal(result.cascade.escalationReason, 'near-threshold');
+  assert.equal(result.model, 'qwen2.5:7b');
+});
+
+test('a cascade keeps the fast result when the strong model fails', async () => {
+  mock.script({ model: 'qwen2.5:7b', status: 500 });
+  const result = await client.analyzeContent('Borderline take #score:35', { threshold: 30, cascade });
+
+  assert.equal(result.score, 35);
+  assert.equal(result.model, 'llama3.2:3b');
+  assert.equal(result.cascade.escalated, true);
+  assert.equal(result.cascade.escalationFailed, true);
+  assert.match(result.cascade.stages[1].error, /500/);
+});
+
+test('a cascade fails only when both models fail', async () => {
+  await assert.rejects(client.analyzeContent('Nobody home #error:500', { threshold: 30, cascade }), /500/);
+});
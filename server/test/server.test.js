@@ -0,0 +1,345 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { io } from 'socket.io-client';
+import MockOllama from './mock-ollama.js';
+
+// Runs index.js as its own process against the mock, with its data files in
+// a temporary directory so the tests never touch server/data.
+const SERVER_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+const mock = new MockOllama();
+let dataDir;
+let server;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(ollamaHost) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LLM_PROVIDER: 'ollama',
+      OLLAMA_HOST: ollamaHost,
+      LLM_HOST: '',
+      LLM_MODEL: 'llama3.2:3b',
+      FEEDBACK_FILE: path.join(dataDir, `feedback-${port}.json`),
+      EXAMPLES_FILE: path.join(dataDir, `examples-${port}.json`),
+      SCORE_CACHE_FILE: path.join(dataDir, `score-cache-${port}.json`)
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) break;
+    try {
+      await fetch(`${url}/templates`);
+      return { url, child };
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  child.kill();
+  throw new Error(`Server did not start:\n${output}`);
+}
+
+async function stopServer({ child }) {
+  if (child.exitCode !== null) return;
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  child.kill('SIGKILL');
+  await exited;
+}
+
+async function post(pathname, body) {
+  const response = await fetch(`${server.url}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Connects, sends one event and resolves with the first reply of either kind
+async function emit(event, data, replies) {
+  const socket = io(server.url, { transports: ['websocket'], reconnection: false });
+  try {
+    return await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No reply to ${event}`)), 5000);
+      socket.on('connect_error', reject);
+      replies.forEach(reply => socket.on(reply, payload => {
+        clearTimeout(timer);
+        resolve({ event: reply, payload });
+      }));
+      socket.emit(event, data);
+    });
+  } finally {
+    socket.close();
+  }
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snr-test-'));
+  await mock.start();
+  server = await startServer(mock.url);
+});
+
+after(async () => {
+  if (server) await stopServer(server);
+  await mock.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mock.reset();
+});
+
+test('GET /health reports the provider, models and analysis settings', async () => {
+  const response = await fetch(`${server.url}/health`);
+  const health = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(health.status, 'ok');
+  assert.equal(health.provider, 'ollama');
+  assert.equal(health.ollama.connected, true);
+  assert.deepEqual(health.ollama.models.map(model => model.name), MockOllama.DEFAULT_MODELS);
+  assert.equal(health.analysis.model, 'llama3.2:3b');
+  assert.ok(health.analysis.templates.default, 'lists template versions');
+  assert.ok(health.cache, 'includes cache stats');
+});
+
+test('GET /health reports a disconnected provider', async () => {
+  const offline = await startServer(`http://127.0.0.1:${await freePort()}`);
+  try {
+    const health = await (await fetch(`${offline.url}/health`)).json();
+    assert.equal(health.status, 'ok');
+    assert.equal(health.ollama.connected, false);
+    assert.deepEqual(health.ollama.models, []);
+  } finally {
+    await stopServer(offline);
+  }
+});
+
+test('POST /analyze scores a tweet', async () => {
+  const { status, body } = await post('/analyze', { text: 'Postmortem of the outage with timelines #score:88', threshold: 30 });
+
+  assert.equal(status, 200);
+  assert.equal(body.score, 88);
+  assert.equal(body.isSignal, true);
+  assert.equal(body.category, 'high-signal');
+  assert.equal(body.model, 'llama3.2:3b');
+  assert.equal(typeof body.latency, 'number');
+});
+
+test('POST /analyze uses the requested model and caches the score', async () => {
+  const tweet = { text: 'Cache me once #score:66', threshold: 30, model: 'qwen2.5:7b' };
+  const first = await post('/analyze', tweet);
+  const second = await post('/analyze', tweet);
+
+  assert.equal(first.body.model, 'qwen2.5:7b');
+  assert.equal(first.body.cached, undefined);
+  assert.equal(second.body.cached, true);
+  assert.equal(second.body.score, 66);
+  assert.equal(mock.calls('/api/generate').length, 1);
+});
+
+test('POST /analyze validates its input', async () => {
+  assert.equal((await post('/analyze', {})).status, 400);
+  assert.equal((await post('/analyze', { text: '   ' })).status, 400);
+
+  const unknownModel = await post('/analyze', { text: 'Which model?', model: 'mistral:7b' });
+  assert.equal(unknownModel.status, 400);
+  assert.equal(unknownModel.body.code, 'MODEL_NOT_FOUND');
+  assert.deepEqual(unknownModel.body.availableModels, MockOllama.DEFAULT_MODELS);
+});
+
+test('POST /analyze returns 502 for malformed model output', async () => {
+  const { status, body } = await post('/analyze', { text: 'Confuse the model #malformed' });
+  assert.equal(status, 502);
+  assert.equal(body.code, 'INVALID_MODEL_OUTPUT');
+});
+
+test('POST /analyze returns 500 when Ollama fails', async () => {
+  const { status, body } = await post('/analyze', { text: 'Ollama is down #error:500' });
+  assert.equal(status, 500);
+  assert.equal(body.error, 'Analysis failed');
+  assert.match(body.detail, /500/);
+});
+
+test('POST /analyze waits for slow responses', async () => {
+  const { status, body } = await post('/analyze', { text: 'Slow but worth it #slow:300 #score:72' });
+  assert.equal(status, 200);
+  assert.equal(body.score, 72);
+  assert.ok(body.latency >= 300);
+});
+
+test('POST /analyze sends every thread member to the model', async () => {
+  const thread = [
+    `Thread opener about database indexes. ${'Background on B-trees. '.repeat(30)}`,
+    `Second part on write amplification. ${'Numbers from our tests. '.repeat(30)}`,
+    'Last part: the closing advice THREAD-END-MARKER #score:83'
+  ];
+  const { status, body } = await post('/analyze', { text: thread.join('\n\n').substring(0, 500), thread, threshold: 30 });
+
+  assert.equal(status, 200);
+  assert.equal(body.score, 83);
+  const prompt = mock.calls('/api/generate')[0].body.prompt;
+  assert.match(prompt, /3\/3 Last part: the closing advice THREAD-END-MARKER/);
+});
+
+test('POST /analyze-batch scores tweets in order', async () => {
+  const { status, body } = await post('/analyze-batch', {
+    threshold: 30,
+    tweets: [
+      { id: '1', text: 'Deep dive into B-trees #score:91' },
+      { id: '2', text: 'follow for follow #score:8' },
+      { id: '3', text: 'Notes from the conference #score:55' }
+    ]
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map(result => result.score), [91, 8, 55]);
+  assert.deepEqual(body.results.map(result => result.isSignal), [true, false, true]);
+  assert.equal(mock.calls('/api/generate').length, 1);
+});
+
+test('POST /analyze-batch only sends uncached tweets to the model', async () => {
+  await post('/analyze-batch', { threshold: 30, tweets: [{ id: 'a', text: 'Already scored #score:77' }] });
+  mock.reset();
+
+  const { body } = await post('/analyze-batch', {
+    threshold: 30,
+    tweets: [{ id: 'a', text: 'Already scored #score:77' }, { id: 'b', text: 'Brand new #score:33' }]
+  });
+
+  assert.equal(body.results[0].cached, true);
+  assert.equal(body.results[1].score, 33);
+  const prompt = mock.calls('/api/generate')[0].body.prompt;
+  assert.doesNotMatch(prompt, /Already scored/);
+});
+
+test('POST /analyze-batch validates its input and reports failures', async () => {
+  assert.equal((await post('/analyze-batch', { tweets: 'nope' })).status, 400);
+
+  const unknownModel = await post('/analyze-batch', { model: 'mistral:7b', tweets: [{ text: 'Which model?' }] });
+  assert.equal(unknownModel.status, 400);
+  assert.equal(unknownModel.body.code, 'MODEL_NOT_FOUND');
+  assert.deepEqual(unknownModel.body.availableModels, MockOllama.DEFAULT_MODELS);
+
+  const malformed = await post('/analyze-batch', { tweets: [{ text: 'Garbled batch #malformed' }] });
+  assert.equal(malformed.status, 502);
+  assert.equal(malformed.body.code, 'INVALID_MODEL_OUTPUT');
+
+  const failed = await post('/analyze-batch', { tweets: [{ text: 'Batch outage #error:503' }] });
+  assert.equal(failed.status, 500);
+});
+
+test('POST /analyze-batch rates tweets with a prompt in their own language', async () => {
+  const { status, body } = await post('/analyze-batch', {
+    threshold: 30,
+    languagePrompts: 'native',
+    tweets: [
+      { id: 'en', text: 'Notes on cache eviction #score:64', language: 'en' },
+      { id: 'ja', text: 'キャッシュの設計についての解説 #score:82', language: 'ja' }
+    ]
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map(result => result.score), [64, 82]);
+  const prompts = mock.calls('/api/generate').map(call => call.body.prompt);
+  assert.equal(prompts.length, 2);
+  assert.ok(prompts.some(prompt => prompt.includes('あなたはこの読者専用のコンテンツフィルターです') && prompt.includes('キャッシュの設計')));
+  assert.ok(prompts.some(prompt => prompt.includes('Notes on cache eviction') && !prompt.includes('キャッシュ')));
+});
+
+test('POST /analyze-batch reports a failed native-language tweet on its own', async () => {
+  const { status, body } = await post('/analyze-batch', {
+    threshold: 30,
+    languagePrompts: 'native',
+    tweets: [
+      { id: 'ja-ok', text: 'データベースの索引の解説 #score:77', language: 'ja' },
+      { id: 'ja-down', text: '障害についてのメモ #error:500', language: 'ja' },
+      { id: 'en-ok', text: 'Notes on query planning #score:58', language: 'en' }
+    ]
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.results[0].score, 77);
+  assert.match(body.results[1].error, /500/);
+  assert.equal(body.results[2].score, 58);
+});
+
+test('feedback labels become embedding examples until they are removed', async () => {
+  const feedback = await post('/feedback', { id: 'fb-1', text: 'Benchmarks of three allocators under load', label: 'signal' });
+  assert.equal(feedback.status, 200);
+
+  const listed = await (await fetch(`${server.url}/examples`)).json();
+  const example = listed.examples.find(entry => entry.text === 'Benchmarks of three allocators under load');
+  assert.equal(example.label, 'signal');
+  assert.equal(example.source, 'feedback');
+
+  await fetch(`${server.url}/feedback/fb-1`, { method: 'DELETE' });
+  const after = await (await fetch(`${server.url}/examples`)).json();
+  assert.equal(after.examples.some(entry => entry.id === example.id), false);
+});
+
+test('socket analyze replies with analysis-result', async () => {
+  const { event, payload } = await emit('analyze',
+    { requestId: 'r1', text: 'Socket tweet #score:81', threshold: 30 },
+    ['analysis-result', 'analysis-error']);
+
+  assert.equal(event, 'analysis-result');
+  assert.equal(payload.requestId, 'r1');
+  assert.equal(payload.score, 81);
+  assert.equal(payload.isSignal, true);
+});
+
+test('socket analyze replies with analysis-error on failure', async () => {
+  const { event, payload } = await emit('analyze',
+    { requestId: 'r2', text: 'Socket failure #error:500' },
+    ['analysis-result', 'analysis-error']);
+
+  assert.equal(event, 'analysis-error');
+  assert.equal(payload.requestId, 'r2');
+  assert.match(payload.error, /500/);
+});
+
+test('socket analyze-batch replies with batch-result', async () => {
+  const { event, payload } = await emit('analyze-batch',
+    { requestId: 'b1', threshold: 30, tweets: [{ text: 'Socket batch one #score:85' }, { text: 'Socket batch two #score:15' }] },
+    ['batch-result', 'batch-error']);
+
+  assert.equal(event, 'batch-result');
+  assert.equal(payload.requestId, 'b1');
+  assert.deepEqual(payload.results.map(result => result.score), [85, 15]);
+});
+
+test('socket analyze-batch replies with batch-error for unknown models', async () => {
+  const { event, payload } = await emit('analyze-batch',
+    { requestId: 'b2', model: 'mistral:7b', tweets: [{ text: 'Wrong model' }] },
+    ['batch-result', 'batch-error']);
+
+  assert.equal(event, 'batch-error');
+  assert.equal(payload.requestId, 'b2');
+  assert.match(payload.error, /not installed/);
+});
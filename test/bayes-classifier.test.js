@@ -0,0 +1,102 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContentScripts, fakeChrome, quietLog } from './load-content-scripts.js';
+
+const { BayesClassifier } = loadContentScripts(['utils/score-category.js', 'content/bayes-classifier.js'], {
+  chrome: fakeChrome(),
+  extLog: quietLog
+});
+const MAX_VOCABULARY = BayesClassifier.MAX_VOCABULARY;
+
+afterEach(() => {
+  BayesClassifier.MAX_VOCABULARY = MAX_VOCABULARY;
+});
+
+const signal = [
+  'Benchmarks of the new allocator under load',
+  'A deep dive into the compiler backend',
+  'Profiling the allocator with flame graphs',
+  'Compiler internals: register allocation explained',
+  'Paper on allocator design with benchmarks'
+];
+const noise = [
+  'Giveaway tonight, retweet to win',
+  'Retweet if you agree lol',
+  'Follow for follow, giveaway ends soon',
+  'lol this is wild, retweet',
+  'Win a prize in our giveaway'
+];
+
+async function trained() {
+  const classifier = new BayesClassifier();
+  for (const text of signal) await classifier.train({ text, label: 'signal' });
+  for (const text of noise) await classifier.train({ text, label: 'noise' });
+  return classifier;
+}
+
+// Objects made inside the sandbox have its own prototypes, so they are
+// copied before comparing them with deepEqual
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Word counts by label, summed, as the totals should be
+function countedTotals(model) {
+  const totals = { signal: 0, noise: 0 };
+  for (const [signalCount, noiseCount] of Object.values(model.words)) {
+    totals.signal += signalCount;
+    totals.noise += noiseCount;
+  }
+  return totals;
+}
+
+test('scores nothing until it has enough labels of each kind', async () => {
+  const classifier = new BayesClassifier();
+  for (const text of signal.slice(0, 4)) await classifier.train({ text, label: 'signal' });
+  assert.equal(classifier.score({ text: 'allocator benchmarks' }), null);
+});
+
+test('scores tweets toward the labels their words came with', async () => {
+  const classifier = await trained();
+
+  const likeSignal = classifier.score({ text: 'New allocator benchmarks and a compiler deep dive' }, 30);
+  assert.equal(likeSignal.isSignal, true);
+  assert.equal(likeSignal.scorer, 'bayes');
+  assert.match(likeSignal.reason, /lean signal/);
+  assert.equal(likeSignal.category, likeSignal.score >= 80 ? 'high-signal' : 'signal');
+
+  const likeNoise = classifier.score({ text: 'Giveaway! Retweet to win lol' }, 30);
+  assert.equal(likeNoise.isSignal, false);
+  assert.match(likeNoise.reason, /lean noise/);
+});
+
+test('keeps its vocabulary and totals in step with the word counts', async () => {
+  const classifier = await trained();
+  const { model } = classifier;
+
+  assert.equal(model.vocabulary, Object.keys(model.words).length);
+  assert.deepEqual(plain(model.totals), countedTotals(model));
+  assert.deepEqual(plain(model.docs), { signal: 5, noise: 5 });
+});
+
+test('relabeling moves a tweet\'s words to the other label', async () => {
+  const classifier = await trained();
+  const entry = { text: 'Benchmarks of the new allocator under load', label: 'noise' };
+  await classifier.train(entry, 'signal');
+
+  assert.deepEqual(plain(classifier.model.docs), { signal: 4, noise: 6 });
+  assert.deepEqual(plain(classifier.model.words.under), [0, 1]);
+  assert.deepEqual(plain(classifier.model.totals), countedTotals(classifier.model));
+});
+
+test('relabeling a tweet whose rare words were pruned keeps the totals true', async () => {
+  BayesClassifier.MAX_VOCABULARY = 2;
+  const classifier = new BayesClassifier();
+  await classifier.train({ text: 'common common rare', label: 'signal' });
+  // A third word pushes the vocabulary over its cap, pruning "rare"
+  await classifier.train({ text: 'kept kept', label: 'signal' });
+  assert.equal(classifier.model.words.rare, undefined);
+
+  await classifier.train({ text: 'common common rare', label: 'noise' }, 'signal');
+
+  assert.deepEqual(plain(classifier.model.totals), countedTotals(classifier.model));
+  assert.equal(classifier.model.vocabulary, Object.keys(classifier.model.words).length);
+});
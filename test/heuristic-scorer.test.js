@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContentScripts } from './load-content-scripts.js';
+
+const { HeuristicScorer } = loadContentScripts(['utils/score-category.js', 'content/domain-reputation.js', 'content/heuristic-scorer.js']);
+
+const preferences = {
+  threshold: 30,
+  interests: ['Rust compilers'],
+  signalPatterns: ['Technical tutorials'],
+  noisePatterns: ['Giveaways']
+};
+
+test('a tweet nothing says anything about is uncertain, not signal', () => {
+  const result = new HeuristicScorer().score({ text: 'Went for a walk by the river this afternoon and saw some ducks' }, preferences);
+
+  assert.equal(result.category, 'uncertain');
+  assert.equal(result.isSignal, false);
+  assert.equal(result.score, 30, 'starts at the threshold');
+  assert.equal(result.scorer, 'heuristic');
+});
+
+test('matching interests and patterns move the score from the threshold', () => {
+  const scorer = new HeuristicScorer();
+  const signal = scorer.score({ text: 'A tutorial on how the Rust compiler lowers closures, with technical detail' }, preferences);
+  const noise = scorer.score({ text: 'Huge giveaway tonight, retweet and follow to enter the draw for prizes' }, preferences);
+
+  assert.equal(signal.isSignal, true);
+  assert.ok(signal.score > 30);
+  assert.match(signal.reason, /mentions Rust compilers/);
+  assert.equal(noise.isSignal, false);
+  assert.equal(noise.category, 'noise');
+});
+
+test('the neutral score follows the reader\'s threshold', () => {
+  const result = new HeuristicScorer().score({ text: 'Went for a walk by the river this afternoon and saw some ducks' }, { threshold: 60 });
+  assert.equal(result.score, 60);
+  assert.equal(result.category, 'uncertain');
+});
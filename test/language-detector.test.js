@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContentScripts } from './load-content-scripts.js';
+import { detectLanguage, resolveLanguage } from '../server/language.js';
+
+const { LanguageDetector } = loadContentScripts(['utils/language-detector.js']);
+
+const fixtures = {
+  'We cut p99 latency in half by moving the cache in-process, and this is how': 'en',
+  'Explicamos cómo reducimos el consumo de memoria de nuestro servicio': 'es',
+  'Você não vai acreditar como ficou o deploy com muito menos memória': 'pt',
+  'Voici pour vous les notes de la conférence, avec les slides et des exemples': 'fr',
+  'Das ist nicht die Lösung, aber sie funktioniert auch mit der alten Version': 'de',
+  'Il nuovo compilatore è molto più veloce e non usa della memoria extra': 'it',
+  'データベースの索引について解説します': 'ja',
+  '데이터베이스 인덱스에 대한 설명입니다': 'ko',
+  '我们把缓存移到了进程内': 'zh',
+  'Мы сократили задержку вдвое': 'ru',
+  'شرح مفصل لفهارس قواعد البيانات': 'ar',
+  'डेटाबेस इंडेक्स की व्याख्या': 'hi',
+  'gm': 'und',
+  '🚀🚀🚀 https://example.com @someone #launch': 'und'
+};
+
+test('the content script detects the language of each fixture', () => {
+  for (const [text, language] of Object.entries(fixtures)) {
+    assert.equal(LanguageDetector.detect(text), language, text);
+  }
+});
+
+test('the server detects the same languages as the content script', () => {
+  for (const text of Object.keys(fixtures)) {
+    assert.equal(detectLanguage(text), LanguageDetector.detect(text), text);
+  }
+});
+
+test('resolveLanguage prefers X\'s own tag', () => {
+  assert.equal(resolveLanguage('pt-BR', 'This is the text of the tweet, in English'), 'pt');
+  assert.equal(resolveLanguage('und', 'This is the text of the tweet, in English'), 'en');
+});
@@ -0,0 +1,42 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+// Content scripts are plain scripts that publish their classes on window.
+// Runs the given ones, in order, in one sandbox whose global object is its
+// own window, the way the browser shares them, and returns that window.
+// `globals` adds anything the scripts expect from the page (chrome, ...).
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+export function loadContentScripts(files, globals = {}) {
+  const window = vm.createContext({ console, setTimeout, clearTimeout, ...globals });
+  window.window = window;
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), window, { filename: file });
+  }
+  return window;
+}
+
+// chrome.storage.local kept in memory, enough for classes that load and save
+// their state there
+export function fakeChrome(stored = {}) {
+  const listeners = [];
+  return {
+    storage: {
+      local: {
+        async get(keys) {
+          return Object.fromEntries((keys || Object.keys(stored)).filter(key => key in stored).map(key => [key, stored[key]]));
+        },
+        async set(items) {
+          const changes = Object.fromEntries(Object.entries(items).map(([key, value]) => [key, { oldValue: stored[key], newValue: value }]));
+          Object.assign(stored, items);
+          listeners.forEach(listener => listener(changes, 'local'));
+        }
+      },
+      onChanged: { addListener: listener => listeners.push(listener) }
+    }
+  };
+}
+
+export const quietLog = { debug() {}, info() {}, warn() {}, error() {} };
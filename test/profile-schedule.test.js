@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContentScripts } from './load-content-scripts.js';
+
+const { ProfileSchedule } = loadContentScripts(['utils/profile-schedule.js']);
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// 2026-10-19 is a Monday; dates are local time, like the schedule
+const at = (day, hours, minutes = 0) => new Date(2026, 9, 19 + day, hours, minutes);
+
+function slot(id, profileId, days, start, end) {
+  return { id, profileId, days, start, end };
+}
+
+const work = slot('work', 'strict', WEEKDAYS, '09:00', '18:00');
+const night = slot('night', 'relaxed', [5, 6], '22:00', '02:00');
+const schedule = { enabled: true, slots: [work, night], defaultProfileId: 'default' };
+
+test('validateSlot names the first problem with a slot', () => {
+  assert.equal(ProfileSchedule.validateSlot(work), null);
+  assert.equal(ProfileSchedule.validateSlot(night), null, 'overnight slots are valid');
+  assert.equal(ProfileSchedule.validateSlot({ ...work, profileId: '' }), 'Pick a profile');
+  assert.equal(ProfileSchedule.validateSlot({ ...work, days: [] }), 'Pick at least one day');
+  assert.equal(ProfileSchedule.validateSlot({ ...work, start: '9:00' }), 'Times must be HH:MM');
+  assert.equal(ProfileSchedule.validateSlot({ ...work, end: '24:00' }), 'Times must be HH:MM');
+  assert.equal(ProfileSchedule.validateSlot({ ...work, end: '09:00' }), 'Start and end must differ');
+});
+
+test('currentSlot covers a daytime slot from its start up to its end', () => {
+  assert.equal(at(0, 0).getDay(), 1);
+  assert.equal(ProfileSchedule.currentSlot(schedule, at(0, 9)).id, 'work');
+  assert.equal(ProfileSchedule.currentSlot(schedule, at(4, 17, 59)).id, 'work');
+  assert.equal(ProfileSchedule.currentSlot(schedule, at(0, 8, 59)), null);
+  assert.equal(ProfileSchedule.currentSlot(schedule, at(0, 18)), null, 'the end is exclusive');
+  assert.equal(ProfileSchedule.currentSlot(schedule, at(5, 12)), null, 'not on Saturday');
+});
+
+test('an overnight slot runs into the early hours of the next day', () => {
+  assert.equal(ProfileSchedule.currentSlot(schedule, at(4, 23)).id, 'night', 'Friday evening');
+  assert.equal(ProfileSchedule.currentSlot(schedule, at(5, 1, 30)).id, 'night', 'early Saturday, from Friday');
+  assert.equal(ProfileSchedule.currentSlot(schedule, at(6, 1, 30)).id, 'night', 'early Sunday, from Saturday');
+  assert.equal(ProfileSchedule.currentSlot(schedule, at(7, 1, 30)), null, 'Sunday has no slot of its own');
+  assert.equal(ProfileSchedule.currentSlot(schedule, at(4, 1, 30)), null, 'Thursday has no slot to run over');
+  assert.equal(ProfileSchedule.currentSlot(schedule, at(5, 2)), null);
+});
+
+test('currentSlot lets earlier slots win overlaps and ignores invalid ones', () => {
+  const overlapping = {
+    slots: [
+      slot('broken', '', WEEKDAYS, '08:00', '20:00'),
+      work,
+      slot('lunch', 'relaxed', WEEKDAYS, '12:00', '13:00')
+    ]
+  };
+
+  assert.equal(ProfileSchedule.currentSlot(overlapping, at(0, 12, 30)).id, 'work');
+  assert.equal(ProfileSchedule.currentSlot(overlapping, at(0, 8, 30)), null);
+  assert.equal(ProfileSchedule.currentSlot({}, at(0, 12)), null);
+});
+
+test('nextBoundary finds the next slot start or end, across midnight too', () => {
+  const next = (slots, date) => ProfileSchedule.nextBoundary({ slots }, date)?.getTime() ?? null;
+
+  assert.equal(next(schedule.slots, at(0, 12)), at(0, 18).getTime());
+  assert.equal(next(schedule.slots, at(4, 23)), at(5, 2).getTime());
+  assert.equal(next([night], at(0, 12)), at(0, 22).getTime(), 'boundaries fall on every day, not only the slot\'s');
+  assert.equal(next([{ ...work, days: [] }], at(0, 12)), null, 'invalid slots have no boundaries');
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContentScripts, quietLog } from './load-content-scripts.js';
+
+const { RuleEngine } = loadContentScripts(['utils/score-category.js', 'content/rule-engine.js'], { extLog: quietLog });
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+function rule(type, match, action = 'signal', extra = {}) {
+  return { id: type, name: `${type} rule`, enabled: true, type, match, action, ...extra };
+}
+
+test('keyword rules match whole words and phrases only', () => {
+  const matches = RuleEngine.compile(rule('keyword', 'AI, type theory'));
+
+  assert.equal(matches({ text: 'New paper on AI alignment' }), true);
+  assert.equal(matches({ text: 'Notes on Type Theory.' }), true);
+  assert.equal(matches({ text: 'She said hello' }), false, '"ai" inside "said" is not a match');
+  assert.equal(matches({}), false);
+});
+
+test('regex, domain, hashtag and author rules read their own tweet fields', () => {
+  const regex = RuleEngine.compile(rule('regex', '^thread\\b'));
+  assert.equal(regex({ text: 'Thread: how we cut build times' }), true);
+  assert.equal(regex({ text: 'Not a thread' }), false);
+
+  const domain = RuleEngine.compile(rule('domain', 'www.github.com, arxiv.org'));
+  assert.equal(domain({ links: [{ domain: 'gist.github.com' }] }), true, 'subdomains match');
+  assert.equal(domain({ links: [{ domain: 'notgithub.com' }] }), false);
+
+  const hashtag = RuleEngine.compile(rule('hashtag', '#Rust, wasm'));
+  assert.equal(hashtag({ hashtags: ['#rust'] }), true);
+  assert.equal(hashtag({ hashtags: ['WASM'] }), true);
+  assert.equal(hashtag({ hashtags: ['#go'] }), false);
+
+  const author = RuleEngine.compile(rule('author', '@Karpathy'));
+  assert.equal(author({ author: { handle: '@karpathy' } }), true);
+  assert.equal(author({ author: { handle: 'someone' } }), false);
+});
+
+test('metric rules compare engagement counts with k and m suffixes', () => {
+  const popular = RuleEngine.compile(rule('metric', 'likes >= 1.5k'));
+  assert.equal(popular({ metrics: { likes: 1500 } }), true);
+  assert.equal(popular({ metrics: { likes: 1499 } }), false);
+  assert.equal(popular({}), false, 'missing metrics count as zero');
+
+  const quiet = RuleEngine.compile(rule('metric', 'views < 1m'));
+  assert.equal(quiet({ metrics: { views: 999999 } }), true);
+});
+
+test('compile explains what is wrong with an invalid rule', () => {
+  assert.throws(() => RuleEngine.compile(rule('emoji', '🔥')), /Unknown rule type "emoji"/);
+  assert.throws(() => RuleEngine.compile(rule('keyword', 'ai', 'hide')), /Action must be signal or noise/);
+  assert.throws(() => RuleEngine.compile(rule('keyword', ' , ')), /Enter at least one keyword/);
+  assert.throws(() => RuleEngine.compile(rule('regex', '(unclosed')), /Unterminated group/);
+  assert.throws(() => RuleEngine.compile(rule('metric', 'followers > 10')), /e\.g\. "likes >= 1000"/);
+});
+
+test('the first enabled rule that matches decides the result', () => {
+  const engine = new RuleEngine([
+    rule('keyword', 'giveaway', 'noise', { id: 'off', enabled: false }),
+    rule('regex', '(broken', 'noise', { id: 'broken' }),
+    rule('keyword', 'giveaway', 'noise', { id: 'giveaway', name: 'Giveaways' }),
+    rule('keyword', 'giveaway', 'signal', { id: 'later', score: 70 })
+  ]);
+
+  assert.equal(engine.rules.length, 2, 'disabled and invalid rules are skipped');
+  assert.deepEqual(plain(engine.evaluate({ text: 'Huge giveaway tonight' })), {
+    score: 10,
+    isSignal: false,
+    category: 'noise',
+    reason: 'Matched rule "Giveaways"',
+    confidence: 1,
+    rule: { id: 'giveaway', name: 'Giveaways', type: 'keyword' },
+    scorer: 'rule'
+  });
+  assert.equal(engine.evaluate({ text: 'Quiet day' }), null, 'no match falls through to the model');
+});
+
+test('a rule\'s own score is categorized against the threshold', () => {
+  const engine = new RuleEngine([rule('keyword', 'rust', 'signal', { score: 60 })]);
+
+  assert.equal(engine.evaluate({ text: 'Rust tips' }, 50).category, 'signal');
+  assert.equal(engine.evaluate({ text: 'Rust tips' }, 70).category, 'medium');
+});
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContentScripts } from './load-content-scripts.js';
+
+const { ScoreCategory } = loadContentScripts(['utils/score-category.js']);
+
+test('categorize splits scores around the reader\'s threshold', () => {
+  assert.equal(ScoreCategory.categorize(95, 30), 'high-signal');
+  assert.equal(ScoreCategory.categorize(80, 30), 'high-signal');
+  assert.equal(ScoreCategory.categorize(30, 30), 'signal');
+  assert.equal(ScoreCategory.categorize(29, 30), 'noise');
+  assert.equal(ScoreCategory.categorize(50, 60), 'medium');
+  assert.equal(ScoreCategory.categorize(39, 60), 'noise');
+});
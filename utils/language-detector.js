@@ -0,0 +1,57 @@
+// Lightweight language detection for tweets, shared by the extension (a
+// content script, for tweets X hasn't tagged) and the server (imported by
+// server/language.js). Scripts identify most non-Latin languages outright;
+// Latin-script tweets are told apart by common function words. Short or
+// ambiguous text is reported as 'und' (undetermined), the same code X uses.
+class LanguageDetector {
+  static SCRIPTS = [
+    // Kana first: Japanese also uses the CJK ideographs that Chinese does
+    { language: 'ja', pattern: /[\u3040-\u30ff]/g },
+    { language: 'ko', pattern: /[\uac00-\ud7af\u1100-\u11ff]/g },
+    { language: 'zh', pattern: /[\u4e00-\u9fff]/g },
+    { language: 'ru', pattern: /[\u0400-\u04ff]/g },
+    { language: 'ar', pattern: /[\u0600-\u06ff]/g },
+    { language: 'hi', pattern: /[\u0900-\u097f]/g }
+  ];
+
+  static STOPWORDS = {
+    en: ['the', 'and', 'is', 'are', 'to', 'of', 'in', 'that', 'this', 'with', 'for', 'it', 'you', 'was', 'have', 'on'],
+    es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'para', 'con', 'muy', 'pero', 'como'],
+    pt: ['o', 'os', 'as', 'de', 'que', 'e', 'em', 'um', 'uma', 'é', 'não', 'para', 'com', 'muito', 'mas', 'você'],
+    fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'que', 'pour', 'dans', 'pas', 'avec', 'sur', 'vous'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'mit', 'auf', 'ich', 'sie', 'für', 'auch'],
+    it: ['il', 'lo', 'gli', 'di', 'che', 'e', 'un', 'una', 'è', 'non', 'per', 'con', 'sono', 'anche', 'della']
+  };
+
+  static MIN_LATIN_HITS = 2;
+
+  static detect(text) {
+    // Links, mentions and hashtags say nothing about the language
+    const cleaned = String(text || '')
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/[@#]\w+/g, ' ');
+
+    const letters = (cleaned.match(/\p{L}/gu) || []).length;
+    if (letters === 0) return 'und';
+
+    for (const { language, pattern } of LanguageDetector.SCRIPTS) {
+      const count = (cleaned.match(pattern) || []).length;
+      if (count / letters >= 0.2) return language;
+    }
+
+    const words = cleaned.toLowerCase().match(/\p{L}+/gu) || [];
+    let best = 'und';
+    let bestHits = 0;
+    for (const [language, stopwords] of Object.entries(LanguageDetector.STOPWORDS)) {
+      const hits = words.filter(word => stopwords.includes(word)).length;
+      if (hits > bestHits) {
+        best = language;
+        bestHits = hits;
+      }
+    }
+    return bestHits >= LanguageDetector.MIN_LATIN_HITS ? best : 'und';
+  }
+}
+
+// window in the page, the module's global on the server
+globalThis.LanguageDetector = LanguageDetector;
@@ -0,0 +1,102 @@
+/**
+ * Time-of-day schedule for switching profiles, e.g. a strict "Work" profile
+ * 09:00-18:00 on weekdays and a relaxed one otherwise. The background
+ * service worker applies it with chrome.alarms at each slot boundary, so a
+ * profile picked by hand stays until the next boundary.
+ *
+ * Storage (chrome.storage.local):
+ *   profileSchedule:       { enabled, slots: [{ id, profileId, days, start, end }], defaultProfileId }
+ *   profileScheduleStatus: { slotId, profileId, until } - written by the background
+ *
+ * days are Date.getDay() numbers (0 = Sunday); start and end are local
+ * "HH:MM". A slot that ends before it starts runs past midnight.
+ */
+
+class ProfileSchedule {
+  static STORAGE_KEY = 'profileSchedule';
+  static STATUS_KEY = 'profileScheduleStatus';
+  static ALARM_NAME = 'profileSchedule';
+  static DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  // Monday first, for display
+  static WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+  static normalize(schedule) {
+    return { enabled: false, slots: [], defaultProfileId: null, ...schedule };
+  }
+
+  // Minutes since midnight, or null for anything but "HH:MM"
+  static parseTime(value) {
+    const match = String(value || '').match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+  }
+
+  // Why a slot can't be used, or null
+  static validateSlot(slot) {
+    if (!slot.profileId) return 'Pick a profile';
+    if (!Array.isArray(slot.days) || slot.days.length === 0) return 'Pick at least one day';
+    const start = ProfileSchedule.parseTime(slot.start);
+    const end = ProfileSchedule.parseTime(slot.end);
+    if (start === null || end === null) return 'Times must be HH:MM';
+    if (start === end) return 'Start and end must differ';
+    return null;
+  }
+
+  static slotContains(slot, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    const start = ProfileSchedule.parseTime(slot.start);
+    const end = ProfileSchedule.parseTime(slot.end);
+    if (start < end) {
+      return slot.days.includes(day) && minutes >= start && minutes < end;
+    }
+    // Overnight: the evening belongs to today's slot, the early hours to yesterday's
+    return (slot.days.includes(day) && minutes >= start) ||
+      (slot.days.includes((day + 6) % 7) && minutes < end);
+  }
+
+  // The first valid slot covering the date; earlier slots win overlaps
+  static currentSlot(schedule, date = new Date()) {
+    return ProfileSchedule.normalize(schedule).slots
+      .find(slot => !ProfileSchedule.validateSlot(slot) && ProfileSchedule.slotContains(slot, date)) || null;
+  }
+
+  // When the next slot starts or ends, or null without valid slots
+  static nextBoundary(schedule, date = new Date()) {
+    const slots = ProfileSchedule.normalize(schedule).slots.filter(slot => !ProfileSchedule.validateSlot(slot));
+    let next = null;
+    for (let offset = 0; offset <= 7; offset++) {
+      for (const slot of slots) {
+        for (const minutes of [ProfileSchedule.parseTime(slot.start), ProfileSchedule.parseTime(slot.end)]) {
+          const candidate = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset,
+            Math.floor(minutes / 60), minutes % 60);
+          if (candidate > date && (!next || candidate < next)) {
+            next = candidate;
+          }
+        }
+      }
+    }
+    return next;
+  }
+
+  // "Mon–Fri", "Sat, Sun", "Every day"
+  static describeDays(days) {
+    if (days.length === 7) return 'Every day';
+    const ordered = ProfileSchedule.WEEK_ORDER.filter(day => days.includes(day));
+    const first = ProfileSchedule.WEEK_ORDER.indexOf(ordered[0]);
+    const consecutive = ordered.every((day, index) => ProfileSchedule.WEEK_ORDER[first + index] === day);
+    if (consecutive && ordered.length > 2) {
+      return `${ProfileSchedule.DAY_NAMES[ordered[0]]}–${ProfileSchedule.DAY_NAMES[ordered[ordered.length - 1]]}`;
+    }
+    return ordered.map(day => ProfileSchedule.DAY_NAMES[day]).join(', ');
+  }
+
+  static describe(slot) {
+    return `${ProfileSchedule.describeDays(slot.days)} ${slot.start}–${slot.end}`;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.ProfileSchedule = ProfileSchedule;
+} else if (typeof self !== 'undefined') {
+  self.ProfileSchedule = ProfileSchedule;
+}
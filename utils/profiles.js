@@ -0,0 +1,178 @@
+/**
+ * Named preference profiles ("Work: AI infra", "Weekend: climbing", ...).
+ * Each profile keeps its own copy of the settings in PROFILE_KEYS. The
+ * active profile's copy is mirrored into the top-level settings that the
+ * rest of the extension reads, so switching profiles is one storage write
+ * and every open tab follows it through chrome.storage.onChanged.
+ *
+ * Storage (chrome.storage.local):
+ *   profiles:      { [id]: { id, name, settings: { interests, ... }, updatedAt } }
+ *   activeProfile: id
+ */
+
+class Profiles {
+  static STORAGE_KEY = 'profiles';
+  static ACTIVE_KEY = 'activeProfile';
+  static DEFAULT_ID = 'default';
+  static PROFILE_KEYS = ['interests', 'signalPatterns', 'noisePatterns', 'threshold', 'selectedModel', 'autoHide'];
+  static MAX_NAME_LENGTH = 40;
+
+  constructor() {
+    this.profiles = {};
+    this.activeId = Profiles.DEFAULT_ID;
+    this.listeners = [];
+    this.ready = this.load();
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || (!changes[Profiles.STORAGE_KEY] && !changes[Profiles.ACTIVE_KEY])) return;
+      if (changes[Profiles.STORAGE_KEY]) {
+        this.profiles = changes[Profiles.STORAGE_KEY].newValue || {};
+      }
+      // From storage rather than this.activeId, which activate() has already updated
+      const switched = Boolean(changes[Profiles.ACTIVE_KEY]?.oldValue) &&
+        changes[Profiles.ACTIVE_KEY].oldValue !== changes[Profiles.ACTIVE_KEY].newValue;
+      if (changes[Profiles.ACTIVE_KEY]) {
+        this.activeId = changes[Profiles.ACTIVE_KEY].newValue || Profiles.DEFAULT_ID;
+      }
+      this.listeners.forEach(listener => listener(this.getActive(), switched));
+    });
+  }
+
+  // Settings that belong to a profile, picked from a full settings object
+  static pick(settings) {
+    const picked = {};
+    Profiles.PROFILE_KEYS.forEach(key => {
+      if (settings[key] !== undefined) picked[key] = settings[key];
+    });
+    return picked;
+  }
+
+  async load() {
+    try {
+      const stored = await chrome.storage.local.get([Profiles.STORAGE_KEY, Profiles.ACTIVE_KEY, ...Profiles.PROFILE_KEYS]);
+      this.profiles = stored[Profiles.STORAGE_KEY] || {};
+      this.activeId = stored[Profiles.ACTIVE_KEY] || Profiles.DEFAULT_ID;
+
+      // First run: the settings saved so far become the default profile
+      if (Object.keys(this.profiles).length === 0) {
+        this.profiles = {
+          [Profiles.DEFAULT_ID]: {
+            id: Profiles.DEFAULT_ID,
+            name: 'Default',
+            settings: Profiles.pick(stored),
+            updatedAt: Date.now()
+          }
+        };
+        this.activeId = Profiles.DEFAULT_ID;
+        await chrome.storage.local.set({
+          [Profiles.STORAGE_KEY]: this.profiles,
+          [Profiles.ACTIVE_KEY]: this.activeId
+        });
+      }
+    } catch (error) {
+      extLog.warn('Failed to load profiles', { error: error.message });
+    }
+  }
+
+  // listener(activeProfile, switched)
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  list() {
+    return Object.values(this.profiles).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  getActive() {
+    return this.profiles[this.activeId] || this.list()[0] || null;
+  }
+
+  validateName(name, exceptId = null) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Profile name is required');
+    }
+    if (trimmed.length > Profiles.MAX_NAME_LENGTH) {
+      throw new Error(`Profile name must be at most ${Profiles.MAX_NAME_LENGTH} characters`);
+    }
+    const taken = Object.values(this.profiles)
+      .some(profile => profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase());
+    if (taken) {
+      throw new Error(`A profile named "${trimmed}" already exists`);
+    }
+    return trimmed;
+  }
+
+  // New profiles start as a copy of the active one
+  async create(name) {
+    await this.ready;
+    const id = `profile_${Date.now().toString(36)}`;
+    const profile = {
+      id,
+      name: this.validateName(name),
+      settings: { ...this.getActive()?.settings },
+      updatedAt: Date.now()
+    };
+    this.profiles = { ...this.profiles, [id]: profile };
+    await chrome.storage.local.set({ [Profiles.STORAGE_KEY]: this.profiles });
+    return profile;
+  }
+
+  async rename(id, name) {
+    await this.ready;
+    if (!this.profiles[id]) {
+      throw new Error('Profile not found');
+    }
+    this.profiles = { ...this.profiles, [id]: { ...this.profiles[id], name: this.validateName(name, id), updatedAt: Date.now() } };
+    await chrome.storage.local.set({ [Profiles.STORAGE_KEY]: this.profiles });
+  }
+
+  async remove(id) {
+    await this.ready;
+    if (Object.keys(this.profiles).length <= 1) {
+      throw new Error('The last profile can\'t be deleted');
+    }
+    const { [id]: removed, ...rest } = this.profiles;
+    if (!removed) return;
+    this.profiles = rest;
+    await chrome.storage.local.set({ [Profiles.STORAGE_KEY]: this.profiles });
+    if (this.activeId === id) {
+      await this.activate(this.list()[0].id);
+    }
+  }
+
+  // Makes a profile active and copies its settings to the top level
+  async activate(id) {
+    await this.ready;
+    const profile = this.profiles[id];
+    if (!profile) {
+      throw new Error('Profile not found');
+    }
+    this.activeId = id;
+    // Settings the profile never set go back to their defaults
+    const unset = Profiles.PROFILE_KEYS.filter(key => profile.settings[key] === undefined);
+    if (unset.length > 0) {
+      await chrome.storage.local.remove(unset);
+    }
+    await chrome.storage.local.set({ [Profiles.ACTIVE_KEY]: id, ...profile.settings });
+  }
+
+  // Records changed settings in the active profile. Callers save the
+  // top-level settings themselves.
+  async saveActive(settings) {
+    await this.ready;
+    const active = this.getActive();
+    if (!active) return;
+    this.profiles = {
+      ...this.profiles,
+      [active.id]: { ...active, settings: { ...active.settings, ...Profiles.pick(settings) }, updatedAt: Date.now() }
+    };
+    await chrome.storage.local.set({ [Profiles.STORAGE_KEY]: this.profiles });
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.Profiles = Profiles;
+} else if (typeof self !== 'undefined') {
+  self.Profiles = Profiles;
+}
@@ -0,0 +1,17 @@
+// The category a 0-100 score falls in for the reader's threshold. Shared by
+// the extension's scorers (loaded before them as a script) and the server
+// (imported by ollama-client.js), so every scorer labels scores alike.
+class ScoreCategory {
+  static HIGH_SIGNAL = 80;
+  static MEDIUM = 40;
+
+  static categorize(score, threshold) {
+    if (score >= ScoreCategory.HIGH_SIGNAL) return 'high-signal';
+    if (score >= threshold) return 'signal';
+    if (score >= ScoreCategory.MEDIUM) return 'medium';
+    return 'noise';
+  }
+}
+
+// window in the page, the module's global on the server
+globalThis.ScoreCategory = ScoreCategory;